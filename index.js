@@ -1,9 +1,28 @@
 "use strict";
 
 module.exports = {
+    AACELDAudioEncoder: require('./lib/AACELDAudioEncoder'),
+    AdaptiveBitrateController: require('./lib/AdaptiveBitrateController'),
+    AudioProcessor: require('./lib/AudioProcessor'),
+    AutomaticGainControl: require('./lib/AutomaticGainControl'),
     FoscamAccessory: require('./lib/FoscamAccessory'),
     FoscamStream: require('./lib/FoscamStream'),
+    HighPassFilter: require('./lib/HighPassFilter'),
+    NoiseGate: require('./lib/NoiseGate'),
+    OpusAudioEncoder: require('./lib/OpusAudioEncoder'),
+    RTPAACTranscoder: require('./lib/RTPAACTranscoder'),
     RTPAudioTranscoder: require('./lib/RTPAudioTranscoder'),
+    RTPBackchannelSender: require('./lib/RTPBackchannelSender'),
     RTPG711Transcoder: require('./lib/RTPG711Transcoder'),
-    RTSPClient: require('./lib/RTSPClient')
+    RTPInterleavedRelay: require('./lib/RTPInterleavedRelay'),
+    RTPJitterBuffer: require('./lib/RTPJitterBuffer'),
+    RTPPCMTranscoder: require('./lib/RTPPCMTranscoder'),
+    RTPPortPool: require('./lib/RTPPortPool'),
+    RTPReceiverStatistics: require('./lib/RTPReceiverStatistics'),
+    RTPVideoRelay: require('./lib/RTPVideoRelay'),
+    RTSPClient: require('./lib/RTSPClient'),
+    RTSPSessionBroker: require('./lib/RTSPSessionBroker'),
+    Resampler: require('./lib/Resampler'),
+    SRTPSession: require('./lib/SRTPSession'),
+    SoftLimiter: require('./lib/SoftLimiter')
 };
@@ -0,0 +1,187 @@
+"use strict";
+
+const childProcess = require('child_process');
+
+// ffmpeg's RTP muxer needs a payload type; it never leaves the pipe.
+const PIPE_PAYLOAD_TYPE = 96;
+
+// Whether each ffmpeg that has been checked can encode AAC-ELD, by path.
+const supportedPaths = new Map();
+
+// Encodes signed 16-bit little endian mono PCM to AAC-ELD, one access unit per
+// packet time, packetized as RFC 3640 AAC-hbr the way HomeKit expects it.
+// Encoding is done by an ffmpeg built with libfdk_aac, so payloads come back
+// asynchronously, but callbacks are still made in order and with as many
+// payloads as the samples passed in filled.
+class AACELDAudioEncoder {
+    constructor(sampleRate, packetTime, options) {
+        let self = this;
+
+        options = options || {};
+
+        self.log = options['log'] || function() {};
+        self.frameSize = Math.round(sampleRate * packetTime / 1000);
+
+        self.inputSamples = 0;
+        self.queuedFrames = 0;
+        self.pending = [];
+        self.buffer = Buffer.alloc(0);
+
+        let args = [
+            '-hide_banner', '-loglevel', 'error',
+            '-f', 's16le', '-ar', String(sampleRate), '-ac', '1', '-i', 'pipe:0',
+            '-c:a', 'libfdk_aac', '-profile:a', 'aac_eld', '-frame_size', String(self.frameSize),
+            '-b:a', (options['bit_rate'] || 24) + 'k', '-flags', '+global_header',
+            '-f', 'rtp', '-payload_type', String(PIPE_PAYLOAD_TYPE), '-rtpflags', 'skip_rtcp',
+            '-muxdelay', '0', '-packetsize', '1400', 'pipe:3'
+        ];
+
+        // ffmpeg prints the SDP to stdout, so the packets go to a separate pipe.
+        self.process = childProcess.spawn(options['ffmpeg_path'] || 'ffmpeg', args, {
+            stdio: ['pipe', 'ignore', 'pipe', 'pipe']
+        });
+
+        self.process.stdio[3].on('data', data => {
+            self.rtpData(data);
+        });
+
+        self.process.stderr.on('data', data => {
+            self.log('AACELDAudioEncoder: ' + data.toString().trim());
+        });
+
+        self.process.stdin.on('error', () => {
+            // ffmpeg has exited; the exit handler deals with it.
+        });
+
+        self.process.on('error', err => {
+            self.log('AACELDAudioEncoder: could not run ffmpeg:', err.message);
+            self.exited();
+        });
+
+        self.process.on('exit', code => {
+            if(self.process && code)
+                self.log('AACELDAudioEncoder: ffmpeg exited with code ' + code + '.');
+
+            self.exited();
+        });
+    }
+
+    // Whether the ffmpeg at ffmpegPath runs and was built with libfdk_aac, found by
+    // encoding a moment of silence with it. This blocks, but each path is only
+    // checked once.
+    static supported(ffmpegPath) {
+        let path = ffmpegPath || 'ffmpeg';
+        if(supportedPaths.has(path))
+            return supportedPaths.get(path);
+
+        let result = childProcess.spawnSync(path, [
+            '-hide_banner', '-loglevel', 'error',
+            '-f', 's16le', '-ar', '16000', '-ac', '1', '-i', 'pipe:0',
+            '-c:a', 'libfdk_aac', '-profile:a', 'aac_eld', '-f', 'null', '-'
+        ], {
+            input: Buffer.alloc(3200),
+            stdio: ['pipe', 'ignore', 'ignore'],
+            timeout: 5000
+        });
+
+        let supported = !result.error && result.status === 0;
+        supportedPaths.set(path, supported);
+        return supported;
+    }
+
+    // RFC 3640 AAC-hbr: a single AU header with a 13-bit size and 3-bit index.
+    static packetize(accessUnit) {
+        let header = Buffer.alloc(4);
+        header.writeUInt16BE(16, 0);
+        header.writeUInt16BE(accessUnit.length << 3, 2);
+        return Buffer.concat([header, accessUnit]);
+    }
+
+    encode(samples, callback) {
+        let self = this;
+        if(!self.process) {
+            callback([]);
+            return;
+        }
+
+        self.inputSamples += samples.length >> 1;
+        let frames = Math.floor(self.inputSamples / self.frameSize);
+        self.pending.push({
+            count: frames - self.queuedFrames,
+            payloads: [],
+            callback: callback
+        });
+
+        self.queuedFrames = frames;
+        self.process.stdin.write(samples);
+        self.flush();
+    }
+
+    // The RTP muxer writes to a pipe, so packet boundaries come from the AU headers.
+    rtpData(data) {
+        let self = this;
+        self.buffer = Buffer.concat([self.buffer, data]);
+
+        while(self.buffer.length >= 14) {
+            let headersLength = self.buffer.readUInt16BE(12);
+            let headersEnd = 14 + Math.ceil(headersLength / 8);
+            if(self.buffer.length < headersEnd)
+                break;
+
+            let sizes = [];
+            for(let offset = 14; offset + 2 <= headersEnd; offset += 2)
+                sizes.push(self.buffer.readUInt16BE(offset) >> 3);
+
+            let length = sizes.reduce((total, size) => total + size, headersEnd);
+            if(self.buffer.length < length)
+                break;
+
+            let offset = headersEnd;
+            for(let size of sizes) {
+                self.accessUnit(self.buffer.slice(offset, offset + size));
+                offset += size;
+            }
+
+            self.buffer = self.buffer.slice(length);
+        }
+    }
+
+    accessUnit(accessUnit) {
+        let self = this;
+        for(let entry of self.pending) {
+            if(entry.payloads.length < entry.count) {
+                entry.payloads.push(AACELDAudioEncoder.packetize(accessUnit));
+                break;
+            }
+        }
+
+        self.flush();
+    }
+
+    flush() {
+        let self = this;
+        while(self.pending.length > 0 && self.pending[0].payloads.length >= self.pending[0].count) {
+            let entry = self.pending.shift();
+            entry.callback(entry.payloads);
+        }
+    }
+
+    exited() {
+        let self = this;
+        self.process = null;
+        self.pending = [];
+    }
+
+    stop() {
+        let self = this;
+        if(!self.process)
+            return;
+
+        let child = self.process;
+        self.exited();
+        child.stdin.end();
+        child.kill();
+    }
+}
+
+module.exports = AACELDAudioEncoder;
@@ -0,0 +1,156 @@
+"use strict";
+
+const EventEmitter = require('events').EventEmitter;
+
+// Steps the camera's bit rate down while HomeKit reports heavy packet loss and
+// back up once it clears, never above what HomeKit asked for. Loss has to stay
+// past a threshold for several reports in a row before anything changes, and
+// changes are spaced out so the camera isn't reconfigured over and over.
+//
+// Every viewer of a camera stream shares its bit rate, so each one's reports are
+// tracked separately: the stream only steps down once most viewers are losing
+// packets, and only steps back up while none of them are.
+class AdaptiveBitrateController extends EventEmitter {
+    // apply(fps, bitRate) reconfigures the camera and returns a promise.
+    constructor(apply, options) {
+        super();
+        let self = this;
+
+        options = options || {};
+
+        self.apply = apply;
+        self.bitRates = (options['bit_rates'] || []).slice().sort((a, b) => b - a);
+
+        self.lossHigh = options['loss_high'] === undefined ? 0.1 : options['loss_high'];
+        self.lossLow = options['loss_low'] === undefined ? 0.02 : options['loss_low'];
+        self.downReports = options['down_reports'] === undefined ? 2 : options['down_reports'];
+        self.upReports = options['up_reports'] === undefined ? 6 : options['up_reports'];
+        self.minIntervalMsecs = options['min_interval'] === undefined ? 15000 : options['min_interval'];
+        self.minFps = options['min_fps'] === undefined ? 5 : options['min_fps'];
+
+        self.levels = [];
+        self.level = 0;
+        self.viewers = new Map();
+        self.lastChange = 0;
+        self.applying = false;
+    }
+
+    // Starts again from what HomeKit asked for, which the caller has just applied.
+    configure(fps, maxBitRate) {
+        let self = this;
+        self.levels = AdaptiveBitrateController.levels(self.bitRates, fps, maxBitRate, self.minFps);
+        self.level = 0;
+        self.resetCounts();
+        self.lastChange = Date.now();
+    }
+
+    // Takes a viewer's report, as produced by RTPVideoRelay or RTPAudioTranscoder.
+    report(viewer, report) {
+        let self = this;
+        let loss = report['fraction_lost'];
+
+        let counts = self.viewers.get(viewer);
+        if(!counts) {
+            counts = {'lossy': 0, 'clean': 0};
+            self.viewers.set(viewer, counts);
+        }
+
+        if(loss >= self.lossHigh) {
+            ++counts['lossy'];
+            counts['clean'] = 0;
+        } else if(loss <= self.lossLow) {
+            ++counts['clean'];
+            counts['lossy'] = 0;
+        } else {
+            counts['lossy'] = 0;
+            counts['clean'] = 0;
+        }
+
+        let lossy = 0;
+        let clean = 0;
+        for(let viewerCounts of self.viewers.values()) {
+            if(viewerCounts['lossy'] >= self.downReports)
+                ++lossy;
+            else if(viewerCounts['clean'] >= self.upReports)
+                ++clean;
+        }
+
+        if(lossy * 2 > self.viewers.size && self.level < self.levels.length - 1)
+            self.step(self.level + 1, lossy);
+        else if(clean * 2 > self.viewers.size && lossy == 0 && self.level > 0)
+            self.step(self.level - 1, lossy);
+    }
+
+    // Forgets a viewer that has stopped watching.
+    remove(viewer) {
+        let self = this;
+        self.viewers.delete(viewer);
+    }
+
+    resetCounts() {
+        let self = this;
+        for(let counts of self.viewers.values()) {
+            counts['lossy'] = 0;
+            counts['clean'] = 0;
+        }
+    }
+
+    step(level, lossy) {
+        let self = this;
+        let now = Date.now();
+        if(self.applying || now - self.lastChange < self.minIntervalMsecs)
+            return;
+
+        let previous = self.levels[self.level];
+        let next = self.levels[level];
+
+        self.level = level;
+        self.resetCounts();
+        self.lastChange = now;
+        self.applying = true;
+
+        self.emit('change', {
+            'fps': next['fps'],
+            'bit_rate': next['bit_rate'],
+            'previous_fps': previous['fps'],
+            'previous_bit_rate': previous['bit_rate'],
+            'lossy_viewers': lossy,
+            'viewers': self.viewers.size
+        });
+
+        let done = () => {
+            self.applying = false;
+            self.lastChange = Date.now();
+        };
+
+        self.apply(next['fps'], next['bit_rate']).then(done, done);
+    }
+
+    // What HomeKit asked for, then every lower bit rate the camera supports.
+    static levels(bitRates, fps, maxBitRate, minFps) {
+        // The camera snaps to its closest supported rate, so skip anything that would be a no-op.
+        let top = maxBitRate;
+        let distance = Infinity;
+        for(let rate of bitRates) {
+            if(Math.abs(rate - maxBitRate) < distance) {
+                top = rate;
+                distance = Math.abs(rate - maxBitRate);
+            }
+        }
+
+        let levels = [{'fps': fps, 'bit_rate': maxBitRate}];
+        for(let rate of bitRates) {
+            if(rate >= top)
+                continue;
+
+            levels.push({
+                'fps': rate < maxBitRate / 4 ? Math.max(minFps, Math.round(fps / 2)) : fps,
+                'bit_rate': rate
+            });
+        }
+
+        return levels;
+    }
+}
+
+module.exports = AdaptiveBitrateController;
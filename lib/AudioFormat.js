@@ -0,0 +1,44 @@
+"use strict";
+
+// Conversion of the audio parameters HomeKit selects, as HAP-NodeJS hands them
+// to handleStreamRequest(), to what the transcoders and encoders take.
+
+// HomeKit's bit rate field is 0 for variable and 1 for constant.
+const BIT_RATE_CONSTANT = 1;
+
+// The transcoder's view of a start or reconfigure request's audio: codec, sample
+// rate in Hz, packet time in milliseconds, bit rate in kbit/s, whether it may
+// vary, channels and whether comfort noise was negotiated.
+function fromRequest(audio) {
+    return {
+        'codec': audio['codec'],
+        'sample_rate': audio['sample_rate'] * 1000,
+        'packet_time': audio['packet_time'],
+        'bit_rate': audio['max_bit_rate'],
+        'vbr': audio['bit_rate'] != BIT_RATE_CONSTANT,
+        'channels': audio['channel'],
+        // HAP-NodeJS only passes on comfort noise as the payload type HomeKit gave it.
+        'comfort_noise': !!audio['comfort_pt']
+    };
+}
+
+// OpusAudioEncoder options for a format, plus FEC, expected loss, DTX and
+// complexity from the camera's opus configuration. DTX defaults to whether
+// comfort noise was negotiated.
+function opusOptions(format, config) {
+    config = config || {};
+    return {
+        'bit_rate': format['bit_rate'],
+        'vbr': format['vbr'],
+        'channels': format['channels'],
+        'fec': config['fec'],
+        'packet_loss': config['packet_loss'],
+        'dtx': config['dtx'] === undefined ? format['comfort_noise'] : config['dtx'],
+        'complexity': config['complexity']
+    };
+}
+
+module.exports = {
+    fromRequest: fromRequest,
+    opusOptions: opusOptions
+};
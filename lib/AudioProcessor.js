@@ -0,0 +1,110 @@
+"use strict";
+
+const AutomaticGainControl = require('./AutomaticGainControl');
+const HighPassFilter = require('./HighPassFilter');
+const NoiseGate = require('./NoiseGate');
+const SoftLimiter = require('./SoftLimiter');
+
+// Stages in the order they run. Each is constructed with (sampleRate, options)
+// and processes a Float64Array of samples scaled to [-1, 1] in place.
+const STAGES = [
+    ['highPass', HighPassFilter],
+    ['noiseGate', NoiseGate],
+    ['agc', AutomaticGainControl],
+    ['gain', null],
+    ['limiter', SoftLimiter]
+];
+
+// Runs signed 16-bit little endian mono PCM through a chain of processing
+// stages. Stages keep their state between calls, so one processor should be
+// used per stream and direction.
+class AudioProcessor {
+    constructor(stages) {
+        let self = this;
+        self.stages = stages;
+    }
+
+    // Builds the chain from a camera's gain or speaker configuration. A plain
+    // number is a fixed gain in dB. Otherwise each of highPass, noiseGate, agc
+    // and limiter is enabled by giving it an object of options (or true for
+    // the defaults), and gain is a fixed gain in dB. The limiter is on unless
+    // it is set to false.
+    static fromConfig(sampleRate, config) {
+        if(typeof config == 'number' || config === undefined || config === null)
+            config = {'gain': config || 0};
+
+        let stages = [];
+        for(let entry of STAGES) {
+            let name = entry[0];
+            let value = config[name];
+
+            if(name == 'gain') {
+                if(value)
+                    stages.push(new FixedGain(value));
+
+                continue;
+            }
+
+            if(value === undefined && name == 'limiter')
+                value = true;
+
+            if(!value)
+                continue;
+
+            stages.push(new entry[1](sampleRate, AudioProcessor.options(value === true ? {} : value)));
+        }
+
+        return new AudioProcessor(stages);
+    }
+
+    // Configuration is camelCase; stage options are snake_case.
+    static options(config) {
+        let options = {};
+        for(let key of Object.keys(config))
+            options[key.replace(/[A-Z]/g, letter => '_' + letter.toLowerCase())] = config[key];
+
+        return options;
+    }
+
+    process(samples) {
+        let self = this;
+        if(self.stages.length == 0)
+            return samples;
+
+        let count = samples.length >> 1;
+        let buffer = new Float64Array(count);
+        for(let i = 0; i < count; ++i)
+            buffer[i] = samples.readInt16LE(i * 2) / 0x8000;
+
+        for(let stage of self.stages)
+            stage.process(buffer);
+
+        let output = Buffer.alloc(count * 2);
+        for(let i = 0; i < count; ++i) {
+            let sample = Math.round(buffer[i] * 0x8000);
+            if(sample > 0x7fff)
+                sample = 0x7fff;
+            else if(sample < -0x7fff)
+                sample = -0x7fff;
+
+            output.writeInt16LE(sample, i * 2);
+        }
+
+        return output;
+    }
+}
+
+class FixedGain {
+    constructor(gain) {
+        let self = this;
+        self.multiplier = Math.pow(10, gain / 20);
+    }
+
+    process(samples) {
+        let self = this;
+        for(let i = 0; i < samples.length; ++i)
+            samples[i] *= self.multiplier;
+    }
+}
+
+module.exports = AudioProcessor;
@@ -0,0 +1,48 @@
+"use strict";
+
+// Slowly steers the RMS level towards a target. Gain comes down quickly when
+// the level is too high but only creeps up, and is held while the input is
+// quieter than the noise floor so that background hiss isn't pumped up.
+class AutomaticGainControl {
+    constructor(sampleRate, options) {
+        let self = this;
+
+        options = options || {};
+
+        self.target = options['target'] === undefined ? -18 : options['target'];
+        self.maxGain = options['max_gain'] === undefined ? 24 : options['max_gain'];
+        self.noiseFloor = options['noise_floor'] === undefined ? -55 : options['noise_floor'];
+
+        self.detector = Math.exp(-1 / (sampleRate * 0.3));
+        self.attack = Math.exp(-1 / (sampleRate * (options['attack'] === undefined ? 50 : options['attack']) / 1000));
+        self.release = Math.exp(-1 / (sampleRate * (options['release'] === undefined ? 1000 : options['release']) / 1000));
+
+        self.power = 0;
+        self.gainDb = 0;
+    }
+
+    process(samples) {
+        let self = this;
+        let gain = Math.pow(10, self.gainDb / 20);
+
+        for(let i = 0; i < samples.length; ++i) {
+            self.power = self.detector * self.power + (1 - self.detector) * samples[i] * samples[i];
+
+            // Recomputing the gain every millisecond or so is plenty.
+            if((i & 15) == 0) {
+                let levelDb = 10 * Math.log10(Math.max(self.power, 1e-12));
+                if(levelDb > self.noiseFloor) {
+                    let target = Math.max(-self.maxGain, Math.min(self.maxGain, self.target - levelDb));
+                    let coefficient = target < self.gainDb ? self.attack : self.release;
+                    coefficient = Math.pow(coefficient, 16);
+                    self.gainDb = coefficient * self.gainDb + (1 - coefficient) * target;
+                    gain = Math.pow(10, self.gainDb / 20);
+                }
+            }
+
+            samples[i] *= gain;
+        }
+    }
+}
+
+module.exports = AutomaticGainControl;
@@ -1,6 +1,10 @@
 "use strict";
 
+const url = require('url');
+const AACELDAudioEncoder = require('./AACELDAudioEncoder');
 const FoscamStream = require('./FoscamStream');
+const RTPPortPool = require('./RTPPortPool');
+const RTSPSessionBroker = require('./RTSPSessionBroker');
 const Foscam = require('foscam-client');
 const FoscamStreamLayer = require('foscam-binary-client').FoscamStreamLayer;
 
@@ -20,6 +24,55 @@ class FoscamAccessory {
         let maxMainStreams = config.maxMainStreams === undefined ? 2 : config.maxMainStreams;
         let maxSubStreams = config.maxSubStreams === undefined ? 2 : config.maxSubStreams;
         let speaker = config.speaker === undefined ? {} : config.speaker;
+        let opus = config.opus || {};
+
+        // Adaptive bit rate is off unless asked for, with true or an object of options.
+        let adaptiveBitrate = config.adaptiveBitrate === true ? {} : config.adaptiveBitrate;
+
+        // [min, max] UDP ports for this camera's streaming sockets. Cameras may share a
+        // range, since each pool skips the ports another has already bound.
+        self.portPool = RTPPortPool.shared();
+        if(config.portRange) {
+            let range = config.portRange;
+            if(Array.isArray(range) && RTPPortPool.isValidRange(range[0], range[1]))
+                self.portPool = new RTPPortPool(range[0], range[1]);
+            else
+                self.log('FoscamAccessory: ignoring invalid portRange', range, 'and using any free port from 10000 up.');
+        }
+
+        let streamOptions = {
+            'rtsp': {
+                'transport': config.rtspTransport || 'auto',
+                'recoveryRetries': config.rtspRecoveryRetries,
+                'recoveryDelay': config.rtspRecoveryDelay,
+                'requestTimeout': config.rtspTimeout,
+                'requestTimeouts': config.rtspTimeouts,
+                'tls': config.rtspTLS
+            },
+            'jitter': {
+                'delay': config.jitterDelay,
+                'max_delay': config.jitterMaxDelay,
+                'adaptive': config.jitterAdaptive
+            },
+            'opus': {
+                'fec': opus.fec,
+                'packet_loss': opus.packetLoss,
+                'dtx': opus.dtx,
+                'complexity': opus.complexity
+            },
+            'adaptiveBitrate': !adaptiveBitrate ? null : {
+                'loss_high': adaptiveBitrate.lossHigh,
+                'loss_low': adaptiveBitrate.lossLow,
+                'down_reports': adaptiveBitrate.downReports,
+                'up_reports': adaptiveBitrate.upReports,
+                'min_interval': adaptiveBitrate.minInterval,
+                'min_fps': adaptiveBitrate.minFps
+            },
+            'statsInterval': config.statsInterval,
+            'watchdogTimeout': config.watchdogTimeout,
+            'ffmpegPath': config.ffmpegPath,
+            'videoMTU': config.videoMTU
+        };
 
         self.streamType = config.streamType === undefined ? 3 : config.streamType;
         self._motionDetected = false;
@@ -68,19 +121,42 @@ class FoscamAccessory {
                 {
                     type: 'OPUS',
                     samplerate: 16
+                },
+                {
+                    type: 'OPUS',
+                    samplerate: 24
                 }
             ]
         };
 
+        // AAC-ELD is encoded by ffmpeg, which has to have been built with libfdk_aac, so it
+        // is only offered if that ffmpeg works. HomeKit talks back in the codec it selects
+        // and only Opus can be decoded here, so streams that select AAC-ELD have no talkback.
+        if(config.aacEld !== false) {
+            if(AACELDAudioEncoder.supported(config.ffmpegPath)) {
+                audioSettings.codecs.push({
+                    type: 'AAC-eld',
+                    samplerate: 16
+                }, {
+                    type: 'AAC-eld',
+                    samplerate: 24
+                });
+            } else {
+                self.log('FoscamAccessory: not offering AAC-ELD, ' + (config.ffmpegPath || 'ffmpeg') + ' could not encode it; it needs an ffmpeg built with libfdk_aac.');
+            }
+        }
+
         let videoCodec = {
             profiles: [StreamController.VideoCodecParamProfileIDTypes.MAIN],
             levels: [StreamController.VideoCodecParamLevelTypes.TYPE3_1, StreamController.VideoCodecParamLevelTypes.TYPE3_2, StreamController.VideoCodecParamLevelTypes.TYPE4_0]
         }
 
+        // HAP-NodeJS always answers with plain RTP when its proxy relays the video, so
+        // SRTP can only be offered when the video is relayed here instead.
         let mainOptions = {
-            proxy: true,
+            proxy: !config.videoRelay,
             disable_audio_proxy: true,
-            srtp: false,
+            srtp: !!config.videoRelay,
             video: {
                 resolutions: mainResolutions,
                 codec: videoCodec
@@ -89,9 +165,9 @@ class FoscamAccessory {
         };
 
         let subOptions = {
-            proxy: true,
+            proxy: !config.videoRelay,
             disable_audio_proxy: true,
-            srtp: false,
+            srtp: !!config.videoRelay,
             video: {
                 resolutions: subResolutions,
                 codec: videoCodec
@@ -123,6 +199,7 @@ class FoscamAccessory {
         self.services = [];
         self.streamControllers = [];
         self.streams = [];
+        self.sessions = [];
 
         self._streamControllerIdx = 0;
 
@@ -145,14 +222,26 @@ class FoscamAccessory {
             let portInfo = results[1];
 
             let rtspPort = config.rtspPort || portInfo['rtspPort'] || port;
-            let uri = 'rtsp://' + username + ':' + password + '@' + host + ':' + rtspPort + '/';
-            let mainURI = uri + 'videoMain';
-            let subURI = uri + 'videoSub';
+            let scheme = config.rtsps ? 'rtsps' : 'rtsp';
+            let uri = scheme + '://' + username + ':' + password + '@' + host + ':' + rtspPort + '/';
+            let mainURI = self._streamURI(config.mainURL, uri, config.mainPath || 'videoMain');
+            let subURI = self._streamURI(config.subURL, uri, config.subPath || 'videoSub');
+
+            // The talk stream always goes to the camera itself, even if video is proxied elsewhere.
+            streamOptions['talk'] = {
+                'host': host,
+                'port': rtspPort,
+                'username': username,
+                'password': password
+            };
 
             self.log('Foscam Camera Info:', info, mainURI, subURI);
 
-            self._createStreamControllers(maxMainStreams, mainURI, gain, speaker, mainOptions, self.setMainOptions.bind(self));
-            self._createStreamControllers(maxSubStreams, subURI, gain, speaker, subOptions, self.setSubOptions.bind(self));
+            let mainStreamOptions = Object.assign({}, streamOptions, {'bitRates': self.mainSupportedBitRates});
+            let subStreamOptions = Object.assign({}, streamOptions, {'bitRates': self.subSupportedBitRates});
+
+            self._createStreamControllers(maxMainStreams, mainURI, gain, speaker, mainStreamOptions, mainOptions, self.setMainOptions.bind(self));
+            self._createStreamControllers(maxSubStreams, subURI, gain, speaker, subStreamOptions, subOptions, self.setSubOptions.bind(self));
 
             return info;
         });
@@ -163,6 +252,24 @@ class FoscamAccessory {
         return self._infoPromise;
     }
 
+    close() {
+        let self = this;
+
+        for(let stream of self.streams)
+            stream.close();
+
+        for(let session of self.sessions)
+            session.close();
+
+        if(self._motionDetectedTriggerTimeout)
+            clearTimeout(self._motionDetectedTriggerTimeout);
+
+        self._motionDetectedTriggerTimeout = false;
+
+        if(self._foscamBinaryClient)
+            self.stopPollingForMotion();
+    }
+
     closestBitRate(list, bitRate) {
         let closest = null;
         let closestDiff;
@@ -210,6 +317,18 @@ class FoscamAccessory {
         });
     }
 
+    _streamURI(override, base, path) {
+        let self = this;
+        if(!override)
+            return base + path.replace(/^\/+/, '');
+
+        let parsed = url.parse(override);
+        if(!parsed.auth)
+            parsed.auth = self._username + ':' + self._password;
+
+        return url.format(parsed);
+    }
+
     heightToFoscamResolution(height) {
         switch(height) {
             case 960:
@@ -227,11 +346,37 @@ class FoscamAccessory {
         }
     }
 
-    _createStreamControllers(numStreams, uri, gain, speaker, options, setOptions) {
+    _createStreamControllers(numStreams, uri, gain, speaker, streamOptions, options, setOptions) {
         let self = this;
 
+        if(numStreams == 0)
+            return;
+
+        // Every stream controller on the URI shares one RTSP session; cameras only allow a few.
+        // The back-channel is only asked for when configured, since some servers refuse the Require header.
+        let talkback = speaker.talkback || 'foscam';
+        let backchannel = (speaker.enabled === undefined || speaker.enabled) && talkback != 'foscam';
+        let session = new RTSPSessionBroker(uri, {
+            'rtsp': Object.assign({}, streamOptions['rtsp'], {
+                'backchannel': backchannel ? 'auto' : false
+            }),
+            'port_pool': self.portPool,
+            'set_options': setOptions,
+            'adaptive_bitrate': streamOptions['adaptiveBitrate'] && Object.assign({
+                'bit_rates': streamOptions['bitRates']
+            }, streamOptions['adaptiveBitrate'])
+        }, self.log);
+
+        self.sessions.push(session);
+
+        // The controllers don't wait for the camera, which may be offline, so they
+        // advertise the configured codec rather than what its SDP turns out to offer.
+        session.ready().then(() => {
+            self.log('FoscamAccessory: ' + uri.replace(/\/\/[^@\/]*@/, '//') + ' offers H.264', session.videoProfile());
+        }, () => {});
+
         for(let i = 0; i < numStreams; i++) {
-            let stream = new FoscamStream(uri, gain, speaker, setOptions, self.log);
+            let stream = new FoscamStream(session, gain, speaker, setOptions, self.log, streamOptions);
             let streamController = new self.hap.StreamController(self._streamControllerIdx++, options, stream);
             stream.streamController = streamController;
 
@@ -428,7 +573,8 @@ class FoscamAccessory {
         self._foscamBinaryClient.on('motion', self.motionDetected.bind(self));
         self._foscamBinaryClient.on('error', err => {
             self.log('FoscamAccessory: Motion sensing connection error:', err);
-            self.resumePollingForMotion();
+            if(self._motionDetectionEnabled)
+                self.resumePollingForMotion();
         });
         self._foscamBinaryClient.connect();
     }
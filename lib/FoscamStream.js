@@ -3,108 +3,264 @@
 const EventEmitter = require('events').EventEmitter;
 const ip = require('ip');
 const crypto = require('crypto');
-const RTPG711Transcoder = require('./RTPG711Transcoder');
-const RTSPClient = require('./RTSPClient');
+const RTPInterleavedRelay = require('./RTPInterleavedRelay');
+const RTPVideoRelay = require('./RTPVideoRelay');
+const Resampler = require('./Resampler');
+const AudioFormat = require('./AudioFormat');
+const AudioProcessor = require('./AudioProcessor');
 const FoscamBinaryClient = require('foscam-binary-client');
 
+// One HomeKit stream controller's view of a camera stream. The RTSP session itself
+// belongs to an RTSPSessionBroker shared with the other controllers on the same URI.
+//
+// A stream goes idle -> preparing -> prepared -> playing -> stopping -> idle, and
+// back to idle through stopping from any other state, emitting 'state' (state,
+// previous) on each change. Whatever is set up along the way is released on the
+// way back to idle.
 class FoscamStream extends EventEmitter {
-    constructor(uri, gain, speaker, setOptions, log) {
+    constructor(session, gain, speaker, setOptions, log, options) {
         super();
         let self = this;
 
+        options = options || {};
+
         self.log = log;
 
-        self.uri = uri;
+        self.session = session;
+        self.uri = session.uri;
         self.gain = gain;
         self.setOptions = setOptions;
 
-        self.rtspClient = new RTSPClient(uri);
-        self.streamController = null;
+        self.jitter = options['jitter'] || {};
+        self.statsIntervalMsecs = options['statsInterval'] === undefined ? 10000 : options['statsInterval'];
+        self.statsTimer = null;
+        self.ffmpegPath = options['ffmpegPath'];
+        self.opus = options['opus'] || {};
+
+        // Only used when video is relayed here rather than by HAP-NodeJS's proxy.
+        self.videoMTU = options['videoMTU'];
+
+        // Milliseconds without RTP on a track before the stream counts as stalled; 0 disables the watchdog.
+        self.watchdogTimeoutMsecs = options['watchdogTimeout'] === undefined ? 5000 : options['watchdogTimeout'];
+        self.watchdogTimer = null;
+        self.watchdogSince = null;
+        self.lastPacketTime = {'video': null, 'audio': null};
+        self.restartAttempts = 0;
+        self.restarting = false;
 
         self.speakerEnabled = speaker.enabled === undefined ? true : speaker.enabled;
         self.speakerCompression = speaker.compression === undefined ? true : speaker.compression;
-        self.speakerGain = speaker.gain === undefined ? 1 : Math.pow(10, speaker.gain / 20);
+        self.speaker = speaker;
+        self.talkbackProcessor = null;
+
+        // 'foscam' (proprietary talk stream, the default), 'onvif' (RTSP back-channel) or
+        // 'auto' (back-channel if the camera offers one).
+        self.talkback = speaker.talkback || 'foscam';
+
+        let rtspClient = session.rtspClient;
+        self.talk = options['talk'] || {
+            'host': rtspClient.hostname,
+            'port': rtspClient.port,
+            'username': rtspClient.username,
+            'password': rtspClient.password
+        };
+        self.streamController = null;
+        self.transcoder = null;
+        self.videoRelay = null;
 
-        self.rtspClient.on('error', (err) => {
-            self.log('FoscamStream: error:', err);
-            if(self.streamController)
-                self.streamController.forceStop();
+        self.state = 'idle';
+
+        // Bumped whenever a prepare starts or a stream stops, so that work still
+        // in flight for an earlier one can tell that it has been overtaken.
+        self._attempt = 0;
+
+        // The prepare request HomeKit is still waiting on an answer for.
+        self._pendingPrepare = null;
+
+        // Whether HomeKit has started this stream; the session may be playing for someone else before then.
+        self.streaming = false;
+
+        session.on('error', (err) => {
+            if(self.state != 'idle')
+                self._forceStop();
         });
 
-        self._readyPromise = self.rtspClient.sdp().then(() => {
-            self.log('FoscamStream: RTSPClient got sdp.');
-            if(self.rtspClient.audio.codec == 'PCMU') {
-                self.transcoderClass = RTPG711Transcoder;
-            }
+        session.on('recovered', () => {
+            if(self.transcoder)
+                self.transcoder.resetIncoming();
 
-            return;
+            if(self.videoRelay instanceof RTPVideoRelay)
+                self.videoRelay.resetIncoming();
+        });
+
+        session.on('interleaved', (channel, data) => {
+            if(!self.streaming)
+                return;
+
+            let track = session.trackForChannel(channel);
+            if(track)
+                self.lastPacketTime[track] = Date.now();
+
+            for(let receiver of [self.transcoder, self.videoRelay]) {
+                if(!receiver || receiver.incomingRTPChannel === undefined)
+                    continue;
+
+                if(channel === receiver.incomingRTPChannel)
+                    receiver.rtpMessage(data);
+                else if(channel === receiver.incomingRTCPChannel)
+                    receiver.rtcpMessage(data);
+            }
         });
 
         self.foscamStream = null;
-        self.audioBuffer = null;
+        self.talkbackResampler = null;
         self.audioOutputBuffer = null;
     }
 
-    ready() {
-        return self._readyPromise;
+    useBackchannel() {
+        let self = this;
+        return self.speakerEnabled && self.talkback != 'foscam' && !!self.session.rtspClient.backchannelTrack;
+    }
+
+    _setState(state) {
+        let self = this;
+        let previous = self.state;
+        if(state == previous)
+            return;
+
+        self.state = state;
+        self.emit('state', state, previous);
     }
 
     prepareStream(request, callback) {
         let self = this;
+        let session = self.session;
 
-        if(self.speakerEnabled) {
-            if(self.foscamStream)
-                self.foscamStream.close();
+        if(self.state != 'idle') {
+            self.log('FoscamStream: prepare requested while ' + self.state + ', stopping the previous stream.');
+            self._stop();
+        }
 
-            self.foscamStream = new FoscamBinaryClient.FoscamStreamLayer(self.rtspClient.hostname, self.rtspClient.port, self.rtspClient.username, self.rtspClient.password);
-            self.audioBuffer = null;
-            self.audioOutputBuffer = null;
-            self.foscamStream.startTalkStream().then(() => {
-                self.talkStreamSetup = true;
+        let attempt = ++self._attempt;
+        self._pendingPrepare = {'request': request, 'callback': callback};
+        self._setState('preparing');
+
+        if(self.speakerEnabled && self.talkback == 'onvif' && !self.useBackchannel())
+            self.log('FoscamStream: camera does not offer an audio back-channel, talkback disabled.');
+
+        if(self.speakerEnabled && !self.useBackchannel() && self.talkback != 'onvif') {
+            let talk = new FoscamBinaryClient.FoscamStreamLayer(self.talk['host'], self.talk['port'], self.talk['username'], self.talk['password']);
+            self.foscamStream = talk;
+            talk.startTalkStream().then(() => {
+                self.talkStreamSetup = self.foscamStream === talk;
             }).catch(() => {
                 self.talkStreamSetup = false;
             });
         }
 
-        let options = {
-            'outgoing': {
-                'address': request['audio']['targetAddress'],
-                'port': request['audio']['port'],
-                'ssrc': crypto.randomBytes(4).readUInt32LE(0),
-            },
+        let transcoder = null;
+        let videoRelay = null;
 
-            'gain': self.gain,
+        let currentAddress = ip.address();
 
-            'audio-data': self.audioDataInput.bind(self)
-        };
+        // Without the proxy, HomeKit gives us its own video port to send to.
+        let relayVideo = request['video']['proxy_rtp'] === undefined;
+
+        // HomeKit's proxy always negotiates plain RTP, so keys are only usable when it isn't relaying.
+        let srtp = relayVideo && !!(request['audio']['srtp_key'] && request['audio']['srtp_salt']);
+
+        session.acquire(self).then(() => {
+            if(attempt !== self._attempt)
+                return;
+
+            let options = {
+                'incoming': {
+                    'payload_type': session.audioTrack.payload,
+                    'sample_rate': session.audioTrack.clockRate
+                },
+
+                'outgoing': {
+                    'address': request['audio']['targetAddress'] || request['targetAddress'],
+                    'port': request['audio']['port'],
+                    'ssrc': crypto.randomBytes(4).readUInt32LE(0),
+                },
+
+                'codec': session.audioTrack.codec,
+                'fmtp': session.audioTrack.fmtp,
+                'channels': session.audioTrack.channels,
+
+                'gain': self.gain,
+
+                'jitter': self.jitter,
 
-        self.transcoder = new self.transcoderClass(options);
+                'ffmpeg_path': self.ffmpegPath,
 
-        self.transcoder.start().then(() => {
-            return self.rtspClient.setup(self.rtspClient.video.uri, request['video']['proxy_rtp'], request['video']['proxy_rtcp']).then(function(video) {
-                return self.rtspClient.setup(self.rtspClient.audio.uri, self.transcoder.incomingLocalRTPPort(), self.transcoder.incomingLocalRTCPPort()).then(function(audio) {
-                    return [video, audio];
+                'opus': self.opus,
+
+                'port_pool': session.portPool,
+
+                'log': self.log,
+
+                'audio-data': self.audioDataInput.bind(self),
+
+                // Video RTCP ends at HomeKit's proxy, so audio loss is the best measure of the link there is.
+                'report': (report) => {
+                    if(!(self.videoRelay instanceof RTPVideoRelay) && self.streaming)
+                        session.report(self, report);
+                }
+            };
+
+            if(srtp) {
+                options['outgoing']['srtp_key'] = request['audio']['srtp_key'];
+                options['outgoing']['srtp_salt'] = request['audio']['srtp_salt'];
+            }
+
+            transcoder = new session.transcoderClass(options);
+            transcoder.incomingRTPChannel = session.audio.rtpChannel;
+            transcoder.incomingRTCPChannel = session.audio.rtcpChannel;
+            transcoder.rtspClient = session;
+
+            if(relayVideo) {
+                videoRelay = self._createVideoRelay(request);
+            } else {
+                // Video normally goes straight from the camera to the HomeKit proxy, but with
+                // several viewers on one session it has to be handed out to each of them.
+                videoRelay = new RTPInterleavedRelay(session, {
+                    'rtp_channel': session.video.rtpChannel,
+                    'rtcp_channel': session.video.rtcpChannel,
+                    'address': currentAddress,
+                    'rtp_port': request['video']['proxy_rtp'],
+                    'rtcp_port': request['video']['proxy_rtcp'],
+                    'port_pool': session.portPool
                 });
-            });
-        }).then(function(settings) {
-            let videoSettings = settings[0];
-            let audioSettings = settings[1];
+            }
 
-            self.transcoder.incomingAddress = audioSettings.source;
-            self.transcoder.incomingRTPPort = audioSettings.rtpPort;
-            self.transcoder.incomingRTCPPort = audioSettings.rtcpPort;
+            // Owned by the stream from here on, so that stopping it releases them.
+            self.transcoder = transcoder;
+            self.videoRelay = videoRelay;
+            return Promise.all([transcoder.start(), videoRelay.start()]);
+        }).then(() => {
+            // Stopped, or replaced by a newer prepare, while this one was in flight.
+            if(attempt !== self._attempt) {
+                self._stopPartial(transcoder, videoRelay);
+                return;
+            }
 
-            let currentAddress = ip.address();
             let response = {
                 'address': {
                     'address': currentAddress,
                     'type': ip.isV4Format(currentAddress) ? 'v4' : 'v6'
                 },
-                'video': {
-                    'proxy_pt': self.rtspClient.video.payload,
-                    'proxy_server_address': videoSettings.source,
-                    'proxy_server_rtp': videoSettings.rtpPort,
-                    'proxy_server_rtcp': videoSettings.rtcpPort
+                'video': relayVideo ? {
+                    'port': self.videoRelay.outgoingLocalPort(),
+                    'ssrc': self.videoRelay.outgoingSSRC,
+                    'srtp_key': request['video']['srtp_key'],
+                    'srtp_salt': request['video']['srtp_salt']
+                } : {
+                    'proxy_pt': session.videoTrack.payload,
+                    'proxy_server_address': currentAddress,
+                    'proxy_server_rtp': self.videoRelay.localRTPPort(),
+                    'proxy_server_rtcp': self.videoRelay.localRTCPPort()
                 },
                 'audio': {
                     'address': currentAddress,
@@ -113,125 +269,371 @@ class FoscamStream extends EventEmitter {
                 }
             };
 
-            self.log('Video: ' + self.rtspClient.video.uri + ' -> ' + currentAddress + ': RTP ' + videoSettings.rtpPort.toString() + ' -> ' + request['video']['proxy_rtp'].toString() + ' / RTCP ' + videoSettings.rtcpPort.toString() + ' -> ' + request['video']['proxy_rtcp'].toString());
-            self.log('Audio: ' + self.rtspClient.audio.uri + ' -> ' + currentAddress + ': RTP ' + audioSettings.rtpPort.toString() + ' -> ' + self.transcoder.incomingLocalRTPPort().toString() + ' / RTCP ' + audioSettings.rtcpPort.toString() + ' -> ' + self.transcoder.incomingLocalRTCPPort().toString() + ' => ' + self.transcoder.outgoingLocalPort().toString() + ' -> ' + self.transcoder.outgoingPort.toString());
+            if(srtp) {
+                response['audio']['srtp_key'] = request['audio']['srtp_key'];
+                response['audio']['srtp_salt'] = request['audio']['srtp_salt'];
+            }
+
+            if(relayVideo)
+                self.log('Video: ' + session.videoTrack.uri + ' => ' + self.videoRelay.outgoingLocalPort().toString() + ' -> ' + self.videoRelay.outgoingPort.toString() + ' (' + session.viewers.size.toString() + ' viewers)');
+            else
+                self.log('Video: ' + session.videoTrack.uri + ' => ' + self.videoRelay.localRTPPort().toString() + ' -> ' + request['video']['proxy_rtp'].toString() + ' (' + session.viewers.size.toString() + ' viewers)');
+            self.log('Audio: ' + session.audioTrack.uri + ' => ' + self.transcoder.outgoingLocalPort().toString() + ' -> ' + self.transcoder.outgoingPort.toString());
 
+            self._pendingPrepare = null;
+            self._setState('prepared');
             callback(response);
         }).catch((err) => {
-            self.log('FoscamStream:', err);
+            if(attempt !== self._attempt) {
+                self._stopPartial(transcoder, videoRelay);
+                return;
+            }
+
+            self._fail(err);
+        });
+    }
+
+    // Sockets can still be handed to a transcoder or relay after it was stopped
+    // if its start() was in flight, so stop them again once that has settled.
+    _stopPartial(transcoder, videoRelay) {
+        if(transcoder)
+            transcoder.stop();
+
+        if(videoRelay)
+            videoRelay.stop();
+    }
+
+    _createVideoRelay(request) {
+        let self = this;
+        let session = self.session;
+        let relay = new RTPVideoRelay({
+            'incoming': {
+                'payload_type': session.videoTrack.payload,
+                'clock_rate': session.videoTrack.clockRate,
+                'sprop_parameter_sets': session.videoTrack.fmtp['sprop-parameter-sets']
+            },
+
+            'outgoing': {
+                'address': request['targetAddress'],
+                'port': request['video']['port'],
+                'ssrc': crypto.randomBytes(4).readUInt32LE(0),
+                'mtu': self.videoMTU,
+                'srtp_key': request['video']['srtp_key'],
+                'srtp_salt': request['video']['srtp_salt']
+            },
+
+            'port_pool': session.portPool
         });
+
+        relay.incomingRTPChannel = session.video.rtpChannel;
+        relay.incomingRTCPChannel = session.video.rtcpChannel;
+        relay.rtspClient = session;
+
+        // Foscam firmware ignores RTCP keyframe requests and has no CGI command for one,
+        // so the best that can be done is to re-send the parameter sets and wait for the
+        // next keyframe, which setOptions() has the camera send every second.
+        relay.on('keyframe-request', reason => {
+            let resent = relay.sendParameterSets();
+            self.log('FoscamStream: HomeKit reported picture loss (' + reason + ')' + (resent ? ', re-sent SPS/PPS' : '') +
+                '; the camera is not asked for a keyframe and will send one within a second.');
+        });
+
+        relay.on('report', report => {
+            if(self.streaming)
+                session.report(self, report);
+        });
+
+        return relay;
+    }
+
+    // Stops everything this viewer was sending, leaving the shared session alone.
+    _stopStreaming() {
+        let self = this;
+        self.streaming = false;
+        self._stopStats();
+        self._stopWatchdog();
+
+        if(self.transcoder) {
+            self.transcoder.stop();
+            self.transcoder = null;
+        }
+
+        if(self.videoRelay) {
+            self.videoRelay.stop();
+            self.videoRelay = null;
+        }
+
+        if(self.foscamStream)
+            self.foscamStream.close();
+
+        self.foscamStream = null;
+        self.talkbackResampler = null;
+        self.audioOutputBuffer = null;
+        self.talkStreamSetup = false;
+    }
+
+    // Releases everything the stream holds and goes back to idle. HAP-NodeJS can't
+    // be answered with an error, so a prepare still in flight is left unanswered;
+    // when it failed, _forceStop() has the stream controller give up on it.
+    _stop() {
+        let self = this;
+        if(self.state == 'idle')
+            return;
+
+        ++self._attempt;
+        self._setState('stopping');
+
+        if(self._pendingPrepare)
+            self.log('FoscamStream: stopped before the prepare request could be answered.');
+
+        self._pendingPrepare = null;
+
+        self._stopStreaming();
+        self.session.release(self);
+        self._setState('idle');
+    }
+
+    _fail(err) {
+        let self = this;
+        self.log('FoscamStream:', err);
+        self._forceStop();
+    }
+
+    // HAP-NodeJS doesn't send a stop request when a stream is forced to stop.
+    _forceStop() {
+        let self = this;
+        self._stop();
+        if(self.streamController)
+            self.streamController.forceStop();
     }
 
     handleStreamRequest(request) {
         let self = this;
         let requestType = request['type'];
+        let attempt = self._attempt;
         if(requestType == 'start') {
+            if(self.state != 'prepared') {
+                self.log('FoscamStream: start requested while ' + self.state + ', ignoring.');
+                return null;
+            }
+
             self.log('Play: ' + self.uri);
+            self._setState('playing');
 
-            self.transcoder.setOutgoingSampleRate(request['audio']['sample_rate'] * 1000);
-            self.transcoder.outgoingPacketTime = request['audio']['packet_time'];
+            self.transcoder.setOutgoingFormat(AudioFormat.fromRequest(request['audio']));
             self.transcoder.outgoingPayloadType = request['audio']['pt'];
+            if(self.videoRelay instanceof RTPVideoRelay) {
+                self.videoRelay.outgoingPayloadType = request['video']['pt'];
+                if(!self.videoMTU)
+                    self.videoRelay.setMTU(request['video']['mtu']);
+
+                self.videoRelay.startReports();
+            }
+
+            if(self.speakerEnabled && request['audio']['codec'] != 'OPUS')
+                self.log('FoscamStream: talkback is only supported with Opus, not ' + request['audio']['codec'] + '.');
+            self.transcoder.startReports();
+            self._startStats();
+            self._startWatchdog();
+            self.streaming = true;
 
+            // The camera's stream settings are shared too; the latest viewer to ask gets its way.
             self.setOptions(request['video']['width'], request['video']['height'], request['video']['fps'], request['video']['max_bit_rate'] * 1000)
                 .then(() => {
-                    return self.rtspClient.play();
+                    if(attempt === self._attempt)
+                        self.session.videoRequested(request['video']);
+
+                    return self.session.play();
                 })
                 .catch(err => {
-                    self.log('FoscamStream:', err);
-                    if(self.streamController) self.streamController.forceStop();
+                    if(attempt === self._attempt)
+                        self._fail(err);
                 });
 
             return;
         } else if(requestType == 'reconfigure') {
+            if(self.state != 'playing')
+                return null;
+
             self.log('Reconfigure: ', request);
+            if(request['audio'] && self.transcoder)
+                self.transcoder.reconfigureOutgoing(AudioFormat.fromRequest(request['audio']));
+
             self.setOptions(request['video']['width'], request['video']['height'], request['video']['fps'], request['video']['max_bit_rate'] * 1000)
+                .then(() => {
+                    if(attempt === self._attempt)
+                        self.session.videoRequested(request['video']);
+                })
                 .catch(err => {
-                    self.log('FoscamStream:', err);
-                    if(self.streamController) self.streamController.forceStop();
+                    if(attempt === self._attempt)
+                        self._fail(err);
                 });
         } else if(requestType == 'stop') {
             self.log('Stop: ' + self.uri);
-            self.rtspClient.teardown();
-            if(self.speakerEnabled) {
-                if(self.foscamStream)
-                    self.foscamStream.close();
-                self.foscamStream = null;
-                self.audioBuffer = null;
-                self.audioOutputBuffer = null;
-                self.talkStreamSetup = false;
-            }
+            self._stop();
         }
 
         return null;
     }
 
-    resample(samples, inputRate, outputRate) {
+    getStats() {
         let self = this;
-        if(inputRate > outputRate) {
-            let divider = inputRate / outputRate;
-            if(Math.floor(divider) != divider)
-                throw {message: 'Cannot evenly resample.'};
+        return {
+            'uri': self.uri,
+            'state': self.state,
+            'playing': self.session.rtspClient.playing,
+            'transport': self.session.rtspClient.transport,
+            'viewers': self.session.viewers.size,
+            'audio': self.transcoder ? self.transcoder.getStats() : null,
+            'video': self.videoRelay instanceof RTPVideoRelay ? self.videoRelay.getStats() : null
+        };
+    }
 
-            let increment = divider * 2;
+    _startStats() {
+        let self = this;
+        self._stopStats();
+        if(!self.statsIntervalMsecs)
+            return;
 
-            let output = Buffer.alloc(2 * Math.floor(samples.length / increment));
-            let cursor = 0;
-            let i;
-            for(i = 0; i <= (samples.length - increment); i += increment) {
-                let sum = 0;
-                for(let j = 0; j < divider; ++j) {
-                    sum += samples.readInt16LE(i + (j * 2));
-                }
+        self.statsTimer = setInterval(() => {
+            self.emit('stats', self.getStats());
+        }, self.statsIntervalMsecs);
+    }
 
-                let sample = Math.round(sum / divider * self.speakerGain);
-                if(sample > 0x7fff)
-                    sample = 0x7fff;
-                else if(sample < -0x7fff)
-                    sample = -0x7fff;
+    _stopStats() {
+        let self = this;
+        if(self.statsTimer)
+            clearInterval(self.statsTimer);
 
-                output.writeInt16LE(sample, cursor);
-                cursor += 2;
-            }
+        self.statsTimer = null;
+    }
+
+    close() {
+        let self = this;
+        self._stop();
+    }
+
+    _startWatchdog() {
+        let self = this;
+        self._stopWatchdog();
+        if(!self.watchdogTimeoutMsecs)
+            return;
 
-            return [output, samples.slice(i)];
-        } else if(inputRate < outputRate) {
-            let multiplier = outputRate / inputRate;
-            if(Math.floor(multiplier) != multiplier)
-                throw {message: 'Cannot evenly resample.'};
+        self.watchdogSince = Date.now();
+        self.lastPacketTime = {'video': null, 'audio': null};
+        self.restartAttempts = 0;
+        self.restarting = false;
+        self.watchdogTimer = setInterval(() => {
+            self._checkHealth();
+        }, Math.max(250, self.watchdogTimeoutMsecs / 4));
+    }
 
-            let output = Buffer.alloc(samples.length * multiplier);
-            let cursor = 0;
-            for(let i = 0; i < samples.length; i += 2) {
-                let sample = samples.readInt16LE(i);
+    _stopWatchdog() {
+        let self = this;
+        if(self.watchdogTimer)
+            clearInterval(self.watchdogTimer);
 
-                for(let j = 0; j < multiplier; ++j) {
-                    output.writeInt16LE(sample, cursor);
-                    cursor += 2;
-                }
+        self.watchdogTimer = null;
+    }
+
+    // Tries PLAY, then SETUP and PLAY, on a stalled stream, giving the camera a full
+    // timeout to start sending again after each, and gives up after that.
+    _checkHealth() {
+        let self = this;
+        if(self.restarting)
+            return;
+
+        let now = Date.now();
+        let tracks = Object.keys(self.lastPacketTime);
+        let silence = track => now - Math.max(self.lastPacketTime[track] || 0, self.watchdogSince);
+        let stalled = tracks.filter(track => silence(track) > self.watchdogTimeoutMsecs);
+
+        if(stalled.length == 0) {
+            if(self.restartAttempts > 0 && tracks.every(track => self.lastPacketTime[track] > self.watchdogSince)) {
+                self.restartAttempts = 0;
+                self._health('recovered', {});
             }
 
-            return [output, null];
+            return;
+        }
+
+        let details = {
+            'tracks': stalled,
+            'silence': Math.max.apply(null, stalled.map(silence))
+        };
+
+        let action = ['play', 'setup'][self.restartAttempts];
+        if(!action) {
+            self._health('failed', details);
+            self._fail({message: 'Camera stopped sending ' + stalled.join(' and ') + '.'});
+            return;
+        }
+
+        ++self.restartAttempts;
+        self._health('stalled', Object.assign(details, {'action': action}));
+
+        let attempt = self._attempt;
+        self.restarting = true;
+        self.session.restart(action).catch(err => {
+            if(attempt === self._attempt)
+                self._health('restart-failed', {'action': action, 'error': err});
+        }).then(() => {
+            if(attempt !== self._attempt)
+                return;
+
+            self.restarting = false;
+            self.watchdogSince = Date.now();
+        });
+    }
+
+    _health(status, details) {
+        let self = this;
+        let event = Object.assign({'status': status, 'uri': self.uri}, details);
+
+        if(status == 'stalled')
+            self.log('FoscamStream: no ' + details['tracks'].join(' or ') + ' for ' + details['silence'] + ' ms, restarting with ' + (details['action'] == 'setup' ? 'SETUP' : 'PLAY') + '.');
+        else if(status == 'restart-failed')
+            self.log('FoscamStream: restart failed:', details['error']);
+        else if(status == 'recovered')
+            self.log('FoscamStream: stream recovered.');
+        else if(status == 'failed')
+            self.log('FoscamStream: stream still stalled after restarting, stopping.');
+
+        self.emit('health', event);
+    }
+
+    // Converts talkback audio from HomeKit's rate to the camera's, then runs the
+    // speaker's processing chain over it.
+    resample(samples, outputRate) {
+        let self = this;
+        let inputRate = self.transcoder.outgoingSampleRate;
+        let resampler = self.talkbackResampler;
+        if(!resampler || resampler.inputRate != inputRate || resampler.outputRate != outputRate) {
+            resampler = new Resampler(inputRate, outputRate);
+            self.talkbackResampler = resampler;
+            self.talkbackProcessor = AudioProcessor.fromConfig(outputRate, self.speaker);
         }
 
-        return [samples, null];
+        return self.talkbackProcessor.process(resampler.process(samples));
     }
 
     audioDataInput(samples) {
         let self = this;
-        if(!self.talkStreamSetup)
+        if(self.session.backchannelSender) {
+            self.backchannelInput(samples);
             return;
+        }
 
-        if(self.audioBuffer && self.audioBuffer.length > 0)
-            samples = Buffer.concat([self.audioBuffer, samples]);
+        if(!self.talkStreamSetup)
+            return;
 
-        let results = self.resample(samples, self.transcoder.outgoingSampleRate, 8000);
-        self.audioBuffer = results[1];
+        let resampled = self.resample(samples, 8000);
 
         let output;
         if(self.audioOutputBuffer)
-            output = Buffer.concat([self.audioOutputBuffer, results[0]]);
+            output = Buffer.concat([self.audioOutputBuffer, resampled]);
         else
-            output = results[0];
+            output = resampled;
 
         self.audioOutputBuffer = output;
 
@@ -247,6 +649,12 @@ class FoscamStream extends EventEmitter {
 
         self.foscamStream.sendTalkData(current, self.speakerCompression);
     }
+
+    backchannelInput(samples) {
+        let self = this;
+        let sender = self.session.backchannelSender;
+        sender.send(self.resample(samples, sender.clockRate));
+    }
 }
 
 module.exports = FoscamStream;
@@ -0,0 +1,113 @@
+"use strict";
+
+// Conversion between linear PCM and G.711, after the Sun Microsystems reference implementation.
+
+const SEG_UEND = [0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF, 0x1FFF];
+const SEG_AEND = [0x1F, 0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF];
+
+function segment(value, table) {
+    for(let i = 0; i < table.length; ++i) {
+        if(value <= table[i])
+            return i;
+    }
+
+    return table.length;
+}
+
+function encodeMuLaw(sample) {
+    let mask;
+    sample = sample >> 2;
+    if(sample < 0) {
+        sample = -sample;
+        mask = 0x7F;
+    } else {
+        mask = 0xFF;
+    }
+
+    if(sample > 8159)
+        sample = 8159;
+
+    sample += 0x84 >> 2;
+
+    let seg = segment(sample, SEG_UEND);
+    if(seg >= 8)
+        return 0x7F ^ mask;
+
+    return ((seg << 4) | ((sample >> (seg + 1)) & 0xF)) ^ mask;
+}
+
+function encodeALaw(sample) {
+    let mask;
+    sample = sample >> 3;
+    if(sample >= 0) {
+        mask = 0xD5;
+    } else {
+        mask = 0x55;
+        sample = -sample - 1;
+    }
+
+    let seg = segment(sample, SEG_AEND);
+    if(seg >= 8)
+        return 0x7F ^ mask;
+
+    let value = seg << 4;
+    if(seg < 2)
+        value |= (sample >> 1) & 0xF;
+    else
+        value |= (sample >> seg) & 0xF;
+
+    return value ^ mask;
+}
+
+function decodeMuLaw(value) {
+    value = ~value & 0xFF;
+
+    let sample = ((value & 0x0F) << 3) + 0x84;
+    sample <<= (value & 0x70) >> 4;
+
+    return (value & 0x80) ? (0x84 - sample) : (sample - 0x84);
+}
+
+function decodeALaw(value) {
+    value ^= 0x55;
+
+    let sample = (value & 0x0F) << 4;
+    let seg = (value & 0x70) >> 4;
+    if(seg == 0)
+        sample += 8;
+    else if(seg == 1)
+        sample += 0x108;
+    else
+        sample = (sample + 0x108) << (seg - 1);
+
+    return (value & 0x80) ? sample : -sample;
+}
+
+// Encodes a buffer of signed 16-bit little endian samples.
+function encode(codec, samples) {
+    let encoder = codec == 'PCMA' ? encodeALaw : encodeMuLaw;
+    let output = Buffer.alloc(samples.length >> 1);
+    for(let i = 0; i < output.length; ++i)
+        output[i] = encoder(samples.readInt16LE(i * 2));
+
+    return output;
+}
+
+// Decodes to a buffer of signed 16-bit little endian samples.
+function decode(codec, payload) {
+    let decoder = codec == 'PCMA' ? decodeALaw : decodeMuLaw;
+    let output = Buffer.alloc(payload.length * 2);
+    for(let i = 0; i < payload.length; ++i)
+        output.writeInt16LE(decoder(payload[i]), i * 2);
+
+    return output;
+}
+
+module.exports = {
+    encodeMuLaw: encodeMuLaw,
+    encodeALaw: encodeALaw,
+    decodeMuLaw: decodeMuLaw,
+    decodeALaw: decodeALaw,
+    encode: encode,
+    decode: decode
+};
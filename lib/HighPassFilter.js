@@ -0,0 +1,44 @@
+"use strict";
+
+// Second order Butterworth high-pass (RBJ cookbook biquad). Removes DC offset
+// and the low frequency rumble the camera microphones pick up.
+class HighPassFilter {
+    constructor(sampleRate, options) {
+        let self = this;
+
+        options = options || {};
+
+        let frequency = Math.min(options['frequency'] || 80, sampleRate * 0.45);
+        let omega = 2 * Math.PI * frequency / sampleRate;
+        let alpha = Math.sin(omega) / (2 * Math.SQRT1_2);
+        let cos = Math.cos(omega);
+        let a0 = 1 + alpha;
+
+        self.b0 = ((1 + cos) / 2) / a0;
+        self.b1 = -(1 + cos) / a0;
+        self.b2 = ((1 + cos) / 2) / a0;
+        self.a1 = (-2 * cos) / a0;
+        self.a2 = (1 - alpha) / a0;
+
+        self.x1 = 0;
+        self.x2 = 0;
+        self.y1 = 0;
+        self.y2 = 0;
+    }
+
+    process(samples) {
+        let self = this;
+        for(let i = 0; i < samples.length; ++i) {
+            let x = samples[i];
+            let y = self.b0 * x + self.b1 * self.x1 + self.b2 * self.x2 - self.a1 * self.y1 - self.a2 * self.y2;
+
+            self.x2 = self.x1;
+            self.x1 = x;
+            self.y2 = self.y1;
+            self.y1 = y;
+            samples[i] = y;
+        }
+    }
+}
+
+module.exports = HighPassFilter;
@@ -0,0 +1,42 @@
+"use strict";
+
+// Downward expander: below the threshold, every dB the level drops is turned
+// into ratio dB at the output, down to the floor. A large ratio makes it a gate.
+class NoiseGate {
+    constructor(sampleRate, options) {
+        let self = this;
+
+        options = options || {};
+
+        self.threshold = options['threshold'] === undefined ? -50 : options['threshold'];
+        self.ratio = options['ratio'] === undefined ? 4 : options['ratio'];
+        self.floor = options['floor'] === undefined ? -60 : options['floor'];
+
+        // One-pole smoothing coefficients for opening and closing.
+        self.attack = Math.exp(-1 / (sampleRate * (options['attack'] === undefined ? 5 : options['attack']) / 1000));
+        self.release = Math.exp(-1 / (sampleRate * (options['release'] === undefined ? 150 : options['release']) / 1000));
+
+        self.envelope = 0;
+        self.gain = 1;
+    }
+
+    process(samples) {
+        let self = this;
+        for(let i = 0; i < samples.length; ++i) {
+            let level = Math.abs(samples[i]);
+            let coefficient = level > self.envelope ? self.attack : self.release;
+            self.envelope = coefficient * self.envelope + (1 - coefficient) * level;
+
+            let levelDb = 20 * Math.log10(Math.max(self.envelope, 1e-6));
+            let target = 1;
+            if(levelDb < self.threshold)
+                target = Math.pow(10, Math.max(self.floor, (levelDb - self.threshold) * (self.ratio - 1)) / 20);
+
+            coefficient = target > self.gain ? self.attack : self.release;
+            self.gain = coefficient * self.gain + (1 - coefficient) * target;
+            samples[i] *= self.gain;
+        }
+    }
+}
+
+module.exports = NoiseGate;
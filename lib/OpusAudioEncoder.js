@@ -0,0 +1,95 @@
+"use strict";
+
+const opus = require('node-opus');
+
+// opus_encoder_ctl() requests from opus_defines.h.
+const OPUS_SET_BITRATE_REQUEST = 4002;
+const OPUS_SET_VBR_REQUEST = 4006;
+const OPUS_SET_COMPLEXITY_REQUEST = 4010;
+const OPUS_SET_INBAND_FEC_REQUEST = 4012;
+const OPUS_SET_PACKET_LOSS_PERC_REQUEST = 4014;
+const OPUS_SET_DTX_REQUEST = 4016;
+
+// Encodes signed 16-bit little endian mono PCM to one Opus packet per packet time.
+class OpusAudioEncoder {
+    constructor(sampleRate, packetTime, options) {
+        let self = this;
+
+        options = options || {};
+
+        self.channels = options['channels'] == 2 ? 2 : 1;
+        self.encoder = new opus.OpusEncoder(sampleRate, self.channels);
+        self.bytesPerPacket = (sampleRate * packetTime / 1000) * 2;
+        self.pendingSamples = null;
+
+        self.configure(options);
+    }
+
+    // Applies whichever of bit_rate (kbit/s), vbr, fec, packet_loss (expected, in percent),
+    // dtx and complexity (0-10) are given; the rest keep their current values.
+    configure(options) {
+        let self = this;
+        let ctl = (request, value) => {
+            if(value !== undefined)
+                self.encoder.applyEncoderCTL(request, Math.round(value));
+        };
+
+        if(options['bit_rate'])
+            ctl(OPUS_SET_BITRATE_REQUEST, options['bit_rate'] * 1000);
+
+        if(options['vbr'] !== undefined)
+            ctl(OPUS_SET_VBR_REQUEST, options['vbr'] ? 1 : 0);
+
+        if(options['fec'] !== undefined) {
+            ctl(OPUS_SET_INBAND_FEC_REQUEST, options['fec'] ? 1 : 0);
+
+            // FEC is only added when the encoder expects some loss.
+            if(options['fec'] && options['packet_loss'] === undefined)
+                ctl(OPUS_SET_PACKET_LOSS_PERC_REQUEST, 10);
+        }
+
+        ctl(OPUS_SET_PACKET_LOSS_PERC_REQUEST, options['packet_loss']);
+
+        if(options['dtx'] !== undefined)
+            ctl(OPUS_SET_DTX_REQUEST, options['dtx'] ? 1 : 0);
+
+        ctl(OPUS_SET_COMPLEXITY_REQUEST, options['complexity']);
+    }
+
+    // Calls back with as many payloads as the samples fill; the rest wait for the next call.
+    encode(samples, callback) {
+        let self = this;
+        if(self.pendingSamples)
+            samples = Buffer.concat([self.pendingSamples, samples]);
+
+        let payloads = [];
+        let offset = 0;
+        for(; (offset + self.bytesPerPacket) <= samples.length; offset += self.bytesPerPacket)
+            payloads.push(self.encoder.encode(self.interleave(samples.slice(offset, offset + self.bytesPerPacket))));
+
+        self.pendingSamples = offset < samples.length ? samples.slice(offset) : null;
+        callback(payloads);
+    }
+
+    // The same mono samples on every channel.
+    interleave(samples) {
+        let self = this;
+        if(self.channels == 1)
+            return samples;
+
+        let output = Buffer.alloc(samples.length * 2);
+        for(let i = 0; i < samples.length; i += 2) {
+            samples.copy(output, i * 2, i, i + 2);
+            samples.copy(output, i * 2 + 2, i, i + 2);
+        }
+
+        return output;
+    }
+
+    stop() {
+        let self = this;
+        self.pendingSamples = null;
+    }
+}
+
+module.exports = OpusAudioEncoder;
@@ -0,0 +1,371 @@
+"use strict";
+
+const AV = require('av');
+const AACDecoder = require('aac');
+const RTPPCMTranscoder = require('./RTPPCMTranscoder');
+
+// Samples per AAC-LC access unit.
+const FRAME_LENGTH = 1024;
+const AOT_AAC_LC = 2;
+
+class BitReader {
+    constructor(buffer, position) {
+        let self = this;
+        self.buffer = buffer;
+        self.position = position || 0;
+    }
+
+    read(count) {
+        let self = this;
+        if(self.position + count > self.buffer.length * 8)
+            throw {message: 'Truncated AAC payload.'};
+
+        let value = 0;
+        for(let i = 0; i < count; ++i, ++self.position)
+            value = (value * 2) + ((self.buffer[self.position >> 3] >> (7 - (self.position & 7))) & 1);
+
+        return value;
+    }
+
+    readBytes(count) {
+        let self = this;
+        if((self.position & 7) == 0) {
+            if(self.position + count * 8 > self.buffer.length * 8)
+                throw {message: 'Truncated AAC payload.'};
+
+            let bytes = self.buffer.slice(self.position >> 3, (self.position >> 3) + count);
+            self.position += count * 8;
+            return bytes;
+        }
+
+        let bytes = Buffer.alloc(count);
+        for(let i = 0; i < count; ++i)
+            bytes[i] = self.read(8);
+
+        return bytes;
+    }
+
+    // Copies the bits between two positions into a new, byte aligned buffer.
+    slice(start, end) {
+        let self = this;
+        let reader = new BitReader(self.buffer, start);
+        let output = Buffer.alloc(Math.ceil((end - start) / 8));
+        for(let i = 0; start + i < end; ++i)
+            output[i >> 3] |= reader.read(1) << (7 - (i & 7));
+
+        return output;
+    }
+}
+
+// Depacketizes AAC from RTP, either RFC 3640 (mpeg4-generic with AU headers)
+// or RFC 3016 (MP4A-LATM), and decodes it for re-encoding as Opus. Only AAC-LC
+// is supported, and fragmented access units are dropped.
+class RTPAACTranscoder extends RTPPCMTranscoder {
+    constructor(options) {
+        let incoming = options['incoming'] || {};
+
+        if(incoming['sample_rate'] === undefined)
+            incoming['sample_rate'] = 16000;
+
+        options['incoming'] = incoming;
+
+        super(options);
+        let self = this;
+
+        let fmtp = options['fmtp'] || {};
+
+        self.latm = (options['codec'] || '').toUpperCase() == 'MP4A-LATM';
+        self.channels = options['channels'] || 1;
+
+        self.sizeLength = parseInt(fmtp['sizelength'] || '0');
+        self.indexLength = parseInt(fmtp['indexlength'] || '0');
+        self.indexDeltaLength = parseInt(fmtp['indexdeltalength'] || '0');
+        self.ctsDeltaLength = parseInt(fmtp['ctsdeltalength'] || '0');
+        self.dtsDeltaLength = parseInt(fmtp['dtsdeltalength'] || '0');
+        self.randomAccessIndication = fmtp['randomaccessindication'] == '1';
+        self.streamStateIndication = parseInt(fmtp['streamstateindication'] || '0');
+        self.constantSize = parseInt(fmtp['constantsize'] || '0');
+
+        // LATM carries its configuration in-band unless cpresent=0.
+        self.muxConfigPresent = self.latm && fmtp['cpresent'] != '0';
+        self.numSubFrames = 0;
+
+        self.decoder = null;
+        self.audioSpecificConfig = null;
+        self.frames = [];
+
+        if(fmtp['config']) {
+            let config = Buffer.from(fmtp['config'], 'hex');
+            if(self.latm)
+                self.parseStreamMuxConfig(new BitReader(config));
+            else
+                self.configure(config);
+        }
+    }
+
+    static supports(track) {
+        let fmtp = track.fmtp || {};
+        if(track.codec == 'MP4A-LATM')
+            return fmtp['object'] === undefined || fmtp['object'] == String(AOT_AAC_LC);
+
+        if(!/^aac-/i.test(fmtp['mode'] || '') || !fmtp['config'])
+            return false;
+
+        return (Buffer.from(fmtp['config'], 'hex')[0] >> 3) == AOT_AAC_LC;
+    }
+
+    configure(audioSpecificConfig) {
+        let self = this;
+        if(self.audioSpecificConfig && self.audioSpecificConfig.equals(audioSpecificConfig))
+            return;
+
+        let error = null;
+        let demuxer = new AV.EventEmitter();
+        let decoder = new AACDecoder(demuxer, {
+            formatID: 'mp4a',
+            sampleRate: self.incomingSampleRate,
+            channelsPerFrame: self.channels
+        });
+
+        decoder.on('data', frame => {
+            self.frames.push(frame);
+        });
+
+        decoder.on('error', err => {
+            error = err;
+        });
+
+        demuxer.emit('cookie', new AV.Buffer(new Uint8Array(audioSpecificConfig)));
+        if(error)
+            throw {message: 'Unsupported AAC configuration: ' + error.message};
+
+        self.demuxer = demuxer;
+        self.decoder = decoder;
+        self.audioSpecificConfig = audioSpecificConfig;
+    }
+
+    // StreamMuxConfig from ISO/IEC 14496-3 1.7.3, for a single program and layer.
+    parseStreamMuxConfig(reader) {
+        let self = this;
+        let latmValue = () => {
+            let bytes = reader.read(2);
+            let value = 0;
+            for(let i = 0; i <= bytes; ++i)
+                value = (value * 256) + reader.read(8);
+
+            return value;
+        };
+
+        let audioMuxVersion = reader.read(1);
+        if(audioMuxVersion) {
+            if(reader.read(1))
+                throw {message: 'Unsupported LATM audioMuxVersionA.'};
+
+            latmValue();
+        }
+
+        reader.read(1);
+        let numSubFrames = reader.read(6);
+        let numProgram = reader.read(4);
+        let numLayer = reader.read(3);
+        if(numProgram != 0 || numLayer != 0)
+            throw {message: 'Unsupported LATM stream with multiple programs or layers.'};
+
+        let config;
+        if(audioMuxVersion) {
+            let length = latmValue();
+            let start = reader.position;
+            config = reader.slice(start, start + length);
+            reader.position = start + length;
+        } else {
+            let start = reader.position;
+            self.skipAudioSpecificConfig(reader);
+            config = reader.slice(start, reader.position);
+        }
+
+        if(reader.read(3) != 0)
+            throw {message: 'Unsupported LATM frameLengthType.'};
+
+        reader.read(8);
+
+        if(reader.read(1)) {
+            if(audioMuxVersion) {
+                latmValue();
+            } else {
+                let escape;
+                do {
+                    escape = reader.read(1);
+                    reader.read(8);
+                } while(escape);
+            }
+        }
+
+        if(reader.read(1))
+            reader.read(8);
+
+        self.numSubFrames = numSubFrames;
+        self.configure(config);
+    }
+
+    skipAudioSpecificConfig(reader) {
+        let objectType = reader.read(5);
+        if(objectType == 31)
+            objectType = 32 + reader.read(6);
+
+        if(reader.read(4) == 0xF)
+            reader.read(24);
+
+        reader.read(4);
+
+        if(objectType != AOT_AAC_LC)
+            throw {message: 'Unsupported AAC object type ' + objectType + '.'};
+
+        reader.read(1);
+        if(reader.read(1))
+            reader.read(14);
+
+        reader.read(1);
+    }
+
+    depacketize(payload) {
+        let self = this;
+        if(self.latm)
+            return self.depacketizeLATM(payload);
+
+        if(self.sizeLength == 0) {
+            if(self.constantSize == 0)
+                return [payload];
+
+            let units = [];
+            for(let offset = 0; offset + self.constantSize <= payload.length; offset += self.constantSize)
+                units.push(payload.slice(offset, offset + self.constantSize));
+
+            return units;
+        }
+
+        let headersLength = payload.readUInt16BE(0);
+        let headers = new BitReader(payload.slice(2, 2 + Math.ceil(headersLength / 8)));
+        let sizes = [];
+        while(headers.position < headersLength) {
+            let first = sizes.length == 0;
+            sizes.push(headers.read(self.sizeLength));
+            headers.read(first ? self.indexLength : self.indexDeltaLength);
+
+            if(self.ctsDeltaLength > 0 && !first && headers.read(1))
+                headers.read(self.ctsDeltaLength);
+
+            if(self.dtsDeltaLength > 0 && headers.read(1))
+                headers.read(self.dtsDeltaLength);
+
+            if(self.randomAccessIndication)
+                headers.read(1);
+
+            if(self.streamStateIndication > 0)
+                headers.read(self.streamStateIndication);
+        }
+
+        let units = [];
+        let offset = 2 + Math.ceil(headersLength / 8);
+        for(let size of sizes) {
+            // A unit larger than what's left is a fragment.
+            if(offset + size > payload.length)
+                break;
+
+            units.push(payload.slice(offset, offset + size));
+            offset += size;
+        }
+
+        return units;
+    }
+
+    depacketizeLATM(payload) {
+        let self = this;
+        let reader = new BitReader(payload);
+
+        if(self.muxConfigPresent && !reader.read(1))
+            self.parseStreamMuxConfig(reader);
+
+        if(!self.decoder)
+            return [];
+
+        let units = [];
+        for(let i = 0; i <= self.numSubFrames; ++i) {
+            let length = 0;
+            let value;
+            do {
+                value = reader.read(8);
+                length += value;
+            } while(value == 255);
+
+            units.push(reader.readBytes(length));
+        }
+
+        return units;
+    }
+
+    samplesInPayload(payload) {
+        let self = this;
+        return self.depacketize(payload).length * FRAME_LENGTH;
+    }
+
+    decode(payload) {
+        let self = this;
+        let units;
+        try {
+            units = self.depacketize(payload);
+        } catch(err) {
+            return Buffer.alloc(0);
+        }
+
+        let output = [];
+        for(let unit of units) {
+            if(!self.decoder)
+                break;
+
+            self.frames = [];
+            self.demuxer.emit('data', new AV.Buffer(new Uint8Array(unit)));
+
+            // Once it has run out of data, the decoder decodes on its own when more arrives.
+            if(self.frames.length == 0)
+                self.decoder.decode();
+
+            // The decoder's bitstream can't be trusted after a bad unit, so start afresh.
+            if(self.frames.length == 0) {
+                let config = self.audioSpecificConfig;
+                self.audioSpecificConfig = null;
+                self.configure(config);
+                continue;
+            }
+
+            for(let frame of self.frames)
+                output.push(self.downmix(frame));
+        }
+
+        return Buffer.concat(output);
+    }
+
+    // Interleaved float frames to signed 16-bit mono.
+    downmix(frame) {
+        let self = this;
+        let channels = self.decoder.format.channelsPerFrame || 1;
+        let count = Math.floor(frame.length / channels);
+        let samples = Buffer.alloc(count * 2);
+        for(let i = 0; i < count; ++i) {
+            let sum = 0;
+            for(let c = 0; c < channels; ++c)
+                sum += frame[i * channels + c];
+
+            let sample = Math.round((sum / channels) * 0x7fff);
+            if(sample > 0x7fff)
+                sample = 0x7fff;
+            else if(sample < -0x7fff)
+                sample = -0x7fff;
+
+            samples.writeInt16LE(sample, i * 2);
+        }
+
+        return samples;
+    }
+}
+
+module.exports = RTPAACTranscoder;
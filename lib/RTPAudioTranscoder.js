@@ -1,7 +1,12 @@
 "use strict";
 
-const dgram = require('dgram');
+const os = require('os');
+const crypto = require('crypto');
 const ip = require('ip');
+const RTPJitterBuffer = require('./RTPJitterBuffer');
+const RTPPortPool = require('./RTPPortPool');
+const RTPReceiverStatistics = require('./RTPReceiverStatistics');
+const SRTPSession = require('./SRTPSession');
 
 class RTPAudioTranscoder {
     constructor(options) {
@@ -11,21 +16,82 @@ class RTPAudioTranscoder {
         self.incomingPacketTime = null;
         self.incomingPayloadType = options['incoming']['payload_type'];
         self.incomingAddress = options['incoming']['address'];
+        self.incomingRTPChannel = null;
+        self.incomingRTCPChannel = null;
 
         self.outgoingAddress = options['outgoing']['address'];
         self.outgoingPort = options['outgoing']['port'];
         self.outgoingSSRC = options['outgoing']['ssrc'];
 
+        // HomeKit uses the same key and salt in both directions.
+        self.srtp = null;
+        if(options['outgoing']['srtp_key'] && options['outgoing']['srtp_salt'])
+            self.srtp = new SRTPSession(options['outgoing']['srtp_key'], options['outgoing']['srtp_salt']);
+
         self.audioDataCallback = options['audio-data'] || null;
+        self.reportCallback = options['report'] || null;
+        self.log = options['log'] || function() {};
+
+        self.portPool = options['port_pool'] || RTPPortPool.shared();
+        self.incomingRTPSocket = null;
+        self.incomingRTCPSocket = null;
+        self.outgoingSocket = null;
 
-        self.initialSequenceNumber = null;
         self.timestampIncrement = null;
         self.packetMultiplier = 1;
 
+        // Incoming sequence numbers and timestamps are mapped onto the outgoing
+        // stream relative to these bases, which move when the source changes.
+        self.incomingSequenceBase = null;
+        self.incomingTimestampBase = null;
+        self.outgoingSequenceBase = null;
+        self.outgoingTimestampBase = null;
+        self.lastOutgoingSequenceNumber = null;
+        self.lastOutgoingTimestamp = null;
+        self.lastPacket = null;
+
+        // Longer gaps are left for the receiver to deal with.
+        self.maxConcealedPackets = 5;
+
         self.senderPacketCount = 0;
         self.senderOctetCount = 0;
 
         self.incomingSSRC = null;
+
+        // Our own SSRC towards the camera, used in the Receiver Reports we send it.
+        self.reportSSRC = crypto.randomBytes(4).readUInt32BE(0);
+        self.reportTimer = null;
+        self.rtspClient = null;
+
+        self.incomingStatistics = new RTPReceiverStatistics(self.incomingSampleRate);
+        self.talkbackStatistics = null;
+
+        // What the HomeKit side last reported about our outgoing stream, and when we
+        // forwarded recent Sender Reports so that it can be turned into a round trip time.
+        self.remoteReport = null;
+        self.forwardedSenderReports = [];
+
+        let jitter = options['jitter'] || {};
+        self.jitterBuffer = new RTPJitterBuffer({
+            'clock_rate': self.incomingSampleRate,
+            'delay': jitter['delay'],
+            'max_delay': jitter['max_delay'],
+            'adaptive': jitter['adaptive']
+        });
+
+        self.jitterBuffer.on('packet', packet => {
+            self.playout(packet);
+        });
+
+        self.jitterBuffer.on('loss', loss => {
+            self.concealLoss(loss);
+        });
+
+        self.jitterBuffer.on('reset', ssrc => {
+            self.incomingSSRC = ssrc;
+            self.incomingSequenceBase = null;
+            self.lastPacket = null;
+        });
     }
 
     samplesInPayload(payload) {
@@ -36,6 +102,20 @@ class RTPAudioTranscoder {
         throw {message: 'transcode unimplemented'};
     }
 
+    // Produces outgoing payloads standing in for a lost incoming packet of the
+    // given number of samples. Transcoders that cannot conceal send nothing.
+    conceal(samples, callback) {
+        callback([]);
+    }
+
+    resetIncoming() {
+        let self = this;
+        self.jitterBuffer.reset();
+        self.incomingSSRC = null;
+        self.incomingSequenceBase = null;
+        self.lastPacket = null;
+    }
+
     incomingLocalRTPPort() {
         let self = this;
         return self.incomingRTPSocket.address().port;
@@ -56,29 +136,80 @@ class RTPAudioTranscoder {
         self.outgoingSampleRate = sampleRate;
     }
 
+    // What HomeKit selected in the start request: codec, sample rate in Hz,
+    // packet time in milliseconds, bit rate in kbit/s, whether it may vary,
+    // channels and whether comfort noise was negotiated.
+    setOutgoingFormat(format) {
+        let self = this;
+        self.outgoingCodec = format['codec'];
+        self.outgoingPacketTime = format['packet_time'];
+        self.reconfigureOutgoing(format);
+        self.setOutgoingSampleRate(format['sample_rate']);
+    }
+
+    // The parts of the format that can change while streaming.
+    reconfigureOutgoing(format) {
+        let self = this;
+        self.outgoingBitRate = format['bit_rate'];
+        self.outgoingVBR = format['vbr'];
+        self.outgoingChannels = format['channels'];
+        self.outgoingComfortNoise = format['comfort_noise'];
+    }
+
     start() {
         let self = this;
-        return new Promise((resolve, reject) => {
-            let incomingSocketType = self.incomingAddress ? (ip.isV4Format(self.incomingAddress) ? 'udp4' : 'udp6') : 'udp4';
-            let outgoingSocketType = self.outgoingAddress ? (ip.isV4Format(self.outgoingAddress) ? 'udp4' : 'udp6') : 'udp4';
-
-            self.createSocketPair(incomingSocketType).then(sockets => {
-                self.createSocketAnyPort(outgoingSocketType).then(outgoingSocket => {
-                    self.incomingRTPSocket = sockets[0];
-                    self.incomingRTCPSocket = sockets[1];
-                    self.outgoingSocket = outgoingSocket;
-                    self.bound();
-                    resolve();
-                });
-            });
+        let incomingSocketType = self.incomingAddress ? (ip.isV4Format(self.incomingAddress) ? 'udp4' : 'udp6') : 'udp4';
+        let outgoingSocketType = self.outgoingAddress ? (ip.isV4Format(self.outgoingAddress) ? 'udp4' : 'udp6') : 'udp4';
+
+        // Packets pushed in from a shared RTSP session don't need sockets of their own.
+        let incoming = self.incomingRTPChannel !== null ? Promise.resolve() : self.portPool.createSocketPair(incomingSocketType).then(sockets => {
+            self.incomingRTPSocket = sockets[0];
+            self.incomingRTCPSocket = sockets[1];
         });
+
+        return incoming.then(() => {
+            return self.portPool.createSocket(outgoingSocketType);
+        }).then(outgoingSocket => {
+            self.outgoingSocket = outgoingSocket;
+            self.bound();
+        }).catch(err => {
+            self.stop();
+            return Promise.reject(err);
+        });
+    }
+
+    stop() {
+        let self = this;
+        self.stopReports();
+        self.jitterBuffer.stop();
+
+        self.portPool.release(self.incomingRTPSocket);
+        self.portPool.release(self.incomingRTCPSocket);
+        self.portPool.release(self.outgoingSocket);
+
+        self.incomingRTPSocket = null;
+        self.incomingRTCPSocket = null;
+        self.outgoingSocket = null;
     }
 
     sendOut(msg) {
         let self = this;
+        if(!self.outgoingSocket)
+            return;
+
         self.outgoingSocket.send(msg, self.outgoingPort, self.outgoingAddress);
     }
 
+    sendOutRTP(packet) {
+        let self = this;
+        self.sendOut(self.srtp ? self.srtp.protect(packet) : packet);
+    }
+
+    sendOutRTCP(packet) {
+        let self = this;
+        self.sendOut(self.srtp ? self.srtp.protectRTCP(packet) : packet);
+    }
+
     processSenderReport(packet) {
         let self = this;
         let ssrc = packet.readUInt32BE(4);
@@ -86,12 +217,18 @@ class RTPAudioTranscoder {
         let senderPacketCount = packet.readUInt32BE(20);
         let senderOctetCount = packet.readUInt32BE(24);
 
-        if(self.incomingSSRC === null)
-            self.incomingSSRC = ssrc;
-        else if(self.incomingSSRC != ssrc)
+        if(ssrc == self.incomingStatistics.ssrc)
+            self.incomingStatistics.senderReport(packet.readUInt32BE(10));
+
+        if(self.incomingSSRC != ssrc || self.incomingSequenceBase === null)
             return null;
 
-        rtpTimestamp = ((rtpTimestamp * self.timestampMultiplier) & 0xFFFFFFFF) >>> 0;
+        self.forwardedSenderReports.push({'ntp': packet.readUInt32BE(10), 'time': Date.now()});
+        if(self.forwardedSenderReports.length > 8)
+            self.forwardedSenderReports.shift();
+
+        let timestampDelta = (rtpTimestamp - (self.incomingTimestampBase >>> 0)) | 0;
+        rtpTimestamp = self.outgoingTimestamp(self.incomingTimestampBase + timestampDelta);
         senderPacketCount = self.senderPacketCount;
         senderOctetCount = self.senderOctetCount;
 
@@ -113,8 +250,9 @@ class RTPAudioTranscoder {
             let len = msg.readUInt16BE(offset + 2) * 4;
             let packet = msg.slice(offset, offset + 4 + len);
 
+            // Copied, since other viewers of the same camera may be handed the same buffer.
             if(pt == 200) {
-                packet = self.processSenderReport(packet);
+                packet = self.processSenderReport(Buffer.from(packet));
             }
 
             if(packet)
@@ -123,7 +261,8 @@ class RTPAudioTranscoder {
             offset += 4 + len;
         }
 
-        self.sendOut(Buffer.concat(rtcpPackets));
+        if(rtcpPackets.length > 0)
+            self.sendOutRTCP(Buffer.concat(rtcpPackets));
     }
 
     rtcpReply(msg) {
@@ -139,12 +278,68 @@ class RTPAudioTranscoder {
             return;
         }
 
-        // Ignore for now.
+        if(self.srtp) {
+            msg = self.srtp.unprotectRTCP(msg);
+            if(!msg)
+                return;
+        }
+
+        let offset = 0;
+        while((offset + 8) <= msg.length) {
+            let count = msg.readUInt8(offset) & 0x1F;
+            let type = msg.readUInt8(offset + 1);
+            let len = msg.readUInt16BE(offset + 2) * 4;
+
+            // Report blocks follow the sender info in a Sender Report.
+            let blocks = -1;
+            if(type == 200)
+                blocks = offset + 28;
+            else if(type == 201)
+                blocks = offset + 8;
+
+            if(blocks >= 0) {
+                for(let i = 0; i < count && (blocks + (i + 1) * 24) <= msg.length; ++i)
+                    self.processReportBlock(msg.slice(blocks + i * 24, blocks + (i + 1) * 24));
+            }
+
+            offset += 4 + len;
+        }
+    }
+
+    processReportBlock(block) {
+        let self = this;
+        if(block.readUInt32BE(0) != self.outgoingSSRC)
+            return;
+
+        let lastSenderReport = block.readUInt32BE(16);
+        let delay = block.readUInt32BE(20);
+        let rtt = null;
+        for(let report of self.forwardedSenderReports) {
+            if(lastSenderReport != 0 && report['ntp'] == lastSenderReport)
+                rtt = Math.max(0, Date.now() - report['time'] - (delay * 1000 / 65536));
+        }
+
+        self.remoteReport = {
+            'fraction_lost': block.readUInt8(4) / 256,
+            'lost': block.readIntBE(5, 3),
+            'highest_sequence_number': block.readUInt32BE(8),
+            'jitter': block.readUInt32BE(12) * 1000 / self.outgoingSampleRate,
+            'rtt': rtt === null && self.remoteReport ? self.remoteReport['rtt'] : rtt
+        };
+
+        if(self.reportCallback)
+            self.reportCallback(self.remoteReport);
     }
 
     rtpReply(msg) {
         let self = this;
 
+        if(self.srtp) {
+            msg = self.srtp.unprotect(msg);
+            if(!msg)
+                return;
+        }
+
         let byte0 = msg.readUInt8(0);
         let extension = (byte0 >> 4) & 1;
         let cc = byte0 & 0xf;
@@ -160,6 +355,11 @@ class RTPAudioTranscoder {
             offset += extensionLength;
         }
 
+        if(!self.talkbackStatistics)
+            self.talkbackStatistics = new RTPReceiverStatistics(self.outgoingSampleRate);
+
+        self.talkbackStatistics.received(ssrc, sequenceNumber, timestamp, msg.length - offset);
+
         let payload = msg.slice(offset);
         if(self.audioDataCallback) {
             self.audioDataInput(payload, samples => {
@@ -186,25 +386,135 @@ class RTPAudioTranscoder {
             offset += extensionLength;
         }
 
-        if(self.incomingSSRC === null)
-            self.incomingSSRC = ssrc;
-        else if(self.incomingSSRC != ssrc)
+        if(pt != self.incomingPayloadType)
             return;
 
-        if(self.initialSequenceNumber === null)
-            self.initialSequenceNumber = sequenceNumber;
+        self.incomingStatistics.received(ssrc, sequenceNumber, timestamp, msg.length - offset);
 
-        if(pt != self.incomingPayloadType)
+        self.jitterBuffer.push({
+            ssrc: ssrc,
+            sequenceNumber: sequenceNumber,
+            timestamp: timestamp,
+            header: msg.slice(0, offset),
+            payload: msg.slice(offset)
+        });
+    }
+
+    // Receiver Report about the camera's audio, followed by the SDES CNAME RFC 3550 requires.
+    receiverReport() {
+        let self = this;
+        if(self.incomingStatistics.ssrc === null)
+            return null;
+
+        let report = Buffer.alloc(8);
+        report.writeUInt8(0x81, 0);
+        report.writeUInt8(201, 1);
+        report.writeUInt16BE(7, 2);
+        report.writeUInt32BE(self.reportSSRC, 4);
+
+        let cname = Buffer.from('homebridge@' + os.hostname());
+        let sdesLength = (8 + 2 + cname.length + 4) & ~3;
+        let sdes = Buffer.alloc(sdesLength);
+        sdes.writeUInt8(0x81, 0);
+        sdes.writeUInt8(202, 1);
+        sdes.writeUInt16BE((sdesLength / 4) - 1, 2);
+        sdes.writeUInt32BE(self.reportSSRC, 4);
+        sdes.writeUInt8(1, 8);
+        sdes.writeUInt8(cname.length, 9);
+        cname.copy(sdes, 10);
+
+        return Buffer.concat([report, self.incomingStatistics.reportBlock(), sdes]);
+    }
+
+    sendReceiverReport() {
+        let self = this;
+        let report = self.receiverReport();
+        if(!report)
             return;
 
-        mpt = (mpt & 0x80) | self.outgoingPayloadType;
-        msg.writeUInt8(mpt, 1);
-        msg.writeUInt32BE(self.outgoingSSRC, 8);
+        if(self.incomingRTCPChannel !== null) {
+            if(self.rtspClient)
+                self.rtspClient.sendInterleaved(self.incomingRTCPChannel, report);
+        } else if(self.incomingRTCPSocket && self.incomingRTCPPort) {
+            self.incomingRTCPSocket.send(report, self.incomingRTCPPort, self.incomingAddress);
+        }
+    }
 
-        let payload = msg.slice(offset);
+    startReports(intervalMsecs) {
+        let self = this;
+        self.stopReports();
+        self.reportTimer = setInterval(() => {
+            self.sendReceiverReport();
+        }, intervalMsecs || 5000);
+    }
+
+    stopReports() {
+        let self = this;
+        if(self.reportTimer)
+            clearInterval(self.reportTimer);
+
+        self.reportTimer = null;
+    }
+
+    getStats() {
+        let self = this;
+        let outgoing = {
+            'ssrc': self.outgoingSSRC,
+            'packets': self.senderPacketCount,
+            'octets': self.senderOctetCount,
+            'fraction_lost': null,
+            'lost': null,
+            'jitter': null,
+            'rtt': null
+        };
+
+        if(self.remoteReport)
+            Object.assign(outgoing, self.remoteReport);
+
+        return {
+            'incoming': Object.assign(self.incomingStatistics.stats(), {
+                'late': self.jitterBuffer.latePackets,
+                'duplicate': self.jitterBuffer.duplicatePackets,
+                'playout_delay': self.jitterBuffer.delay()
+            }),
+            'outgoing': outgoing,
+            'talkback': self.talkbackStatistics ? self.talkbackStatistics.stats() : null
+        };
+    }
+
+    outgoingSequenceNumber(extendedSequenceNumber) {
+        let self = this;
+        // Incoming packets needn't be a whole number of outgoing ones, e.g. 1024 sample AAC frames.
+        return (self.outgoingSequenceBase + Math.floor((extendedSequenceNumber - self.incomingSequenceBase) * self.packetMultiplier)) & 0xFFFF;
+    }
+
+    outgoingTimestamp(extendedTimestamp) {
+        let self = this;
+        return (self.outgoingTimestampBase + Math.round((extendedTimestamp - self.incomingTimestampBase) * self.timestampMultiplier)) >>> 0;
+    }
+
+    // Anchors the outgoing stream to a new incoming source, continuing on from
+    // the last packet sent if there was one.
+    rebase(packet) {
+        let self = this;
+        self.incomingSSRC = packet.ssrc;
+        self.incomingSequenceBase = packet.extendedSequenceNumber;
+        self.incomingTimestampBase = packet.extendedTimestamp;
+
+        if(self.lastOutgoingSequenceNumber === null) {
+            self.outgoingSequenceBase = packet.sequenceNumber;
+            self.outgoingTimestampBase = Math.round(packet.timestamp * self.timestampMultiplier) >>> 0;
+        } else {
+            self.outgoingSequenceBase = (self.lastOutgoingSequenceNumber + 1) & 0xFFFF;
+            self.outgoingTimestampBase = (self.lastOutgoingTimestamp + self.timestampIncrement) >>> 0;
+        }
+    }
+
+    playout(packet) {
+        let self = this;
 
         if(self.incomingPacketTime === null) {
-            self.incomingPacketTime = self.samplesInPayload(payload) / self.incomingSampleRate * 1000;
+            self.incomingPacketTime = self.samplesInPayload(packet.payload) / self.incomingSampleRate * 1000;
             self.packetMultiplier = self.incomingPacketTime / self.outgoingPacketTime;
             if(self.packetMultiplier < 1)
                 self.packetMultiplier = 1;
@@ -212,116 +522,84 @@ class RTPAudioTranscoder {
             self.timestampMultiplier = self.outgoingSampleRate / self.incomingSampleRate;
         }
 
-        sequenceNumber = ((((sequenceNumber - self.initialSequenceNumber) * self.packetMultiplier) + self.initialSequenceNumber) & 0xFFFF) >>> 0;
-        timestamp = ((timestamp * self.timestampMultiplier) & 0xFFFFFFFF) >>> 0;
-
-        self.transcode(payload, payloads => {
-            for(let i = 0; i < self.packetMultiplier; ++i) {
-                if(payloads[i]) {
-                    let packet = Buffer.concat([msg.slice(0, offset), payloads[i]]);
-                    packet.writeUInt16BE(sequenceNumber, 2);
-                    packet.writeUInt32BE(timestamp, 4);
-                    ++self.senderPacketCount;
-                    self.senderOctetCount += packet.length;
-                    self.sendOut(packet);
-                }
-
-                timestamp = ((timestamp + self.timestampIncrement) & 0xFFFFFFFF) >>> 0;
-                sequenceNumber = ((sequenceNumber + 1) & 0xFFFF) >>> 0;
-            }
-        });
-    }
+        if(self.incomingSequenceBase === null)
+            self.rebase(packet);
 
-    bound() {
-        let self = this;
-        self.incomingRTPSocket.on('message', function(msg, rinfo) {
-            self.rtpMessage(msg);
-        });
+        self.lastPacket = packet;
 
-        self.incomingRTCPSocket.on('message', function(msg, rinfo) {
-            self.rtcpMessage(msg);
-        });
-
-        self.outgoingSocket.on('message', function(msg, rinfo) {
-            self.rtcpReply(msg);
+        let sequenceNumber = self.outgoingSequenceNumber(packet.extendedSequenceNumber);
+        let timestamp = self.outgoingTimestamp(packet.extendedTimestamp);
+        self.transcode(packet.payload, payloads => {
+            self.sendTranscoded(packet.header, sequenceNumber, timestamp, payloads);
         });
     }
 
-    createSocketPair(type) {
+    concealLoss(loss) {
         let self = this;
-        return new Promise((resolve, reject) => {
-            let tryAgain = (port, resolve, reject) => {
-                let promises = [self.createSocket(type, port), self.createSocket(type, port + 1)];
-                Promise.all(promises)
-                    .then(sockets => {
-                        if(sockets[0] && sockets[1]) {
-                            resolve(sockets);
-                            return;
-                        }
+        if(!self.lastPacket || self.incomingPacketTime === null)
+            return;
 
-                        if(sockets[0])
-                            sockets[0].close()
+        let samplesPerPacket = Math.round(self.incomingPacketTime * self.incomingSampleRate / 1000);
 
-                        if(sockets[1])
-                            sockets[1].close()
+        // Clear the marker bit; these packets do not start a talkspurt.
+        let header = Buffer.from(self.lastPacket.header);
+        header.writeUInt8(header.readUInt8(1) & 0x7F, 1);
 
-                        if(port >= 0xfffe)
-                            port = 10000;
-                        else
-                            port++;
+        let count = Math.min(loss.count, self.maxConcealedPackets);
+        for(let i = 0; i < count; ++i) {
+            let extendedSequenceNumber = loss.sequenceNumber + i;
+            let extendedTimestamp = self.lastPacket.extendedTimestamp + (extendedSequenceNumber - self.lastPacket.extendedSequenceNumber) * samplesPerPacket;
+            let sequenceNumber = self.outgoingSequenceNumber(extendedSequenceNumber);
+            let timestamp = self.outgoingTimestamp(extendedTimestamp);
+            self.conceal(samplesPerPacket, payloads => {
+                self.sendTranscoded(header, sequenceNumber, timestamp, payloads);
+            });
+        }
+    }
 
-                        tryAgain(port, resolve, reject);
-                    });
-            };
+    sendTranscoded(header, sequenceNumber, timestamp, payloads) {
+        let self = this;
+        header = Buffer.from(header);
+        header.writeUInt8((header.readUInt8(1) & 0x80) | self.outgoingPayloadType, 1);
+        header.writeUInt32BE(self.outgoingSSRC, 8);
+
+        for(let i = 0; i < self.packetMultiplier; ++i) {
+            if(payloads[i]) {
+                let packet = Buffer.concat([header, payloads[i]]);
+                packet.writeUInt16BE(sequenceNumber, 2);
+                packet.writeUInt32BE(timestamp, 4);
+                ++self.senderPacketCount;
+                self.senderOctetCount += packet.length;
+                self.lastOutgoingSequenceNumber = sequenceNumber;
+                self.lastOutgoingTimestamp = timestamp;
+                self.sendOutRTP(packet);
+            }
 
-            tryAgain(10000, resolve, reject);
-        });
+            timestamp = ((timestamp + self.timestampIncrement) & 0xFFFFFFFF) >>> 0;
+            sequenceNumber = ((sequenceNumber + 1) & 0xFFFF) >>> 0;
+        }
     }
 
-    createSocketAnyPort(type) {
+    bindIncoming() {
         let self = this;
-        return new Promise((resolve, reject) => {
-            let tryAgain = (port, resolve, reject) => {
-                self.createSocket(type, port)
-                    .then((socket) => {
-                        if(socket) {
-                            resolve(socket);
-                            return;
-                        }
-
-                        if(port == 0xffff)
-                            port = 10000;
-                        else
-                            port++;
+        if(!self.incomingRTPSocket)
+            return;
 
-                        tryAgain(port, resolve, reject);
-                    })
-            };
+        self.incomingRTPSocket.on('message', function(msg, rinfo) {
+            self.rtpMessage(msg);
+        });
 
-            tryAgain(10000, resolve, reject);
+        self.incomingRTCPSocket.on('message', function(msg, rinfo) {
+            self.rtcpMessage(msg);
         });
     }
 
-    createSocket(type, port) {
+    bound() {
         let self = this;
-        return new Promise((resolve, reject) => {
-            let socket = dgram.createSocket(type);
-
-            let errorHandler = () => {
-                socket.close();
-                resolve(null);
-            };
+        self.bindIncoming();
 
-            let listenHandler = () => {
-                socket.removeListener('error', errorHandler);
-                socket.removeListener('listening', listenHandler);
-                resolve(socket);
-            };
-
-            socket.on('error', errorHandler);
-            socket.on('listening', listenHandler);
-
-            socket.bind(port);
+        self.outgoingSocket.on('message', function(msg, rinfo) {
+            self.rtcpReply(msg);
         });
     }
 }
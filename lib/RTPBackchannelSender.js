@@ -0,0 +1,111 @@
+"use strict";
+
+const crypto = require('crypto');
+const G711 = require('./G711');
+const RTPPortPool = require('./RTPPortPool');
+
+// Packetizes PCM into G.711 RTP for an ONVIF audio back-channel track, sent
+// either over UDP or interleaved on the RTSP connection.
+class RTPBackchannelSender {
+    constructor(options) {
+        let self = this;
+
+        self.codec = options['codec'];
+        self.payloadType = options['payload_type'];
+        self.clockRate = options['clock_rate'] || 8000;
+        self.packetTime = options['packet_time'] || 20;
+        self.ssrc = crypto.randomBytes(4).readUInt32BE(0);
+
+        self.sequenceNumber = crypto.randomBytes(2).readUInt16BE(0);
+        self.timestamp = crypto.randomBytes(4).readUInt32BE(0);
+
+        self.portPool = options['port_pool'] || RTPPortPool.shared();
+        self.rtpSocket = null;
+        self.rtcpSocket = null;
+
+        self.destinationAddress = null;
+        self.destinationRTPPort = null;
+        self.rtspClient = null;
+        self.rtpChannel = null;
+
+        self.buffer = null;
+    }
+
+    localRTPPort() {
+        let self = this;
+        return self.rtpSocket.address().port;
+    }
+
+    localRTCPPort() {
+        let self = this;
+        return self.rtcpSocket.address().port;
+    }
+
+    start() {
+        let self = this;
+        return self.portPool.createSocketPair('udp4').then(sockets => {
+            self.rtpSocket = sockets[0];
+            self.rtcpSocket = sockets[1];
+        });
+    }
+
+    stop() {
+        let self = this;
+        self.portPool.release(self.rtpSocket);
+        self.portPool.release(self.rtcpSocket);
+
+        self.rtpSocket = null;
+        self.rtcpSocket = null;
+        self.rtspClient = null;
+        self.buffer = null;
+    }
+
+    // Takes the settings returned by RTSPClient.setup().
+    setTransport(settings, rtspClient) {
+        let self = this;
+        if(settings.interleaved) {
+            self.rtspClient = rtspClient;
+            self.rtpChannel = settings.rtpChannel;
+            self.destinationAddress = null;
+        } else {
+            self.rtspClient = null;
+            self.destinationAddress = settings.source;
+            self.destinationRTPPort = settings.rtpPort;
+        }
+    }
+
+    // Takes signed 16-bit little endian samples at clockRate.
+    send(samples) {
+        let self = this;
+        if(self.buffer && self.buffer.length > 0)
+            samples = Buffer.concat([self.buffer, samples]);
+
+        let bytesPerPacket = (self.clockRate * self.packetTime / 1000) * 2;
+        let offset = 0;
+        for(; (offset + bytesPerPacket) <= samples.length; offset += bytesPerPacket)
+            self.sendPacket(G711.encode(self.codec, samples.slice(offset, offset + bytesPerPacket)));
+
+        self.buffer = offset < samples.length ? samples.slice(offset) : null;
+    }
+
+    sendPacket(payload) {
+        let self = this;
+        let header = Buffer.alloc(12);
+        header.writeUInt8(0x80, 0);
+        header.writeUInt8(self.payloadType & 0x7F, 1);
+        header.writeUInt16BE(self.sequenceNumber, 2);
+        header.writeUInt32BE(self.timestamp, 4);
+        header.writeUInt32BE(self.ssrc, 8);
+
+        self.sequenceNumber = (self.sequenceNumber + 1) & 0xFFFF;
+        self.timestamp = ((self.timestamp + payload.length) & 0xFFFFFFFF) >>> 0;
+
+        let packet = Buffer.concat([header, payload]);
+        if(self.rtspClient)
+            self.rtspClient.sendInterleaved(self.rtpChannel, packet);
+        else if(self.destinationAddress && self.rtpSocket)
+            self.rtpSocket.send(packet, self.destinationRTPPort, self.destinationAddress);
+    }
+}
+
+module.exports = RTPBackchannelSender;
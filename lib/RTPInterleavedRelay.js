@@ -0,0 +1,73 @@
+"use strict";
+
+const ip = require('ip');
+const RTPPortPool = require('./RTPPortPool');
+
+// Forwards RTP/RTCP received interleaved on the RTSP connection to a local UDP
+// destination, and RTCP sent back to us onto the RTSP connection.
+class RTPInterleavedRelay {
+    constructor(rtspClient, options) {
+        let self = this;
+
+        self.rtspClient = rtspClient;
+        self.rtpChannel = options['rtp_channel'];
+        self.rtcpChannel = options['rtcp_channel'];
+
+        self.outgoingAddress = options['address'];
+        self.outgoingRTPPort = options['rtp_port'];
+        self.outgoingRTCPPort = options['rtcp_port'];
+
+        self.portPool = options['port_pool'] || RTPPortPool.shared();
+        self.rtpSocket = null;
+        self.rtcpSocket = null;
+
+        self._interleavedHandler = self.interleavedMessage.bind(self);
+    }
+
+    localRTPPort() {
+        let self = this;
+        return self.rtpSocket.address().port;
+    }
+
+    localRTCPPort() {
+        let self = this;
+        return self.rtcpSocket.address().port;
+    }
+
+    start() {
+        let self = this;
+        let type = ip.isV4Format(self.outgoingAddress) ? 'udp4' : 'udp6';
+
+        return self.portPool.createSocketPair(type).then(sockets => {
+            self.rtpSocket = sockets[0];
+            self.rtcpSocket = sockets[1];
+
+            self.rtcpSocket.on('message', function(msg, rinfo) {
+                self.rtspClient.sendInterleaved(self.rtcpChannel, msg);
+            });
+
+            self.rtspClient.on('interleaved', self._interleavedHandler);
+        });
+    }
+
+    stop() {
+        let self = this;
+        self.rtspClient.removeListener('interleaved', self._interleavedHandler);
+
+        self.portPool.release(self.rtpSocket);
+        self.portPool.release(self.rtcpSocket);
+
+        self.rtpSocket = null;
+        self.rtcpSocket = null;
+    }
+
+    interleavedMessage(channel, msg) {
+        let self = this;
+        if(channel == self.rtpChannel && self.rtpSocket)
+            self.rtpSocket.send(msg, self.outgoingRTPPort, self.outgoingAddress);
+        else if(channel == self.rtcpChannel && self.rtcpSocket)
+            self.rtcpSocket.send(msg, self.outgoingRTCPPort, self.outgoingAddress);
+    }
+}
+
+module.exports = RTPInterleavedRelay;
@@ -0,0 +1,207 @@
+"use strict";
+
+const EventEmitter = require('events').EventEmitter;
+
+// Reorders incoming RTP packets by sequence number and releases them on the
+// sender's clock after an adaptive playout delay.
+//
+// Emits 'packet' (packet) in order, 'loss' ({sequenceNumber, count}) for gaps
+// that did not fill in time and 'reset' (ssrc) when the source changes.
+// Sequence numbers and timestamps are extended past their 16/32-bit wraparound
+// as packet.extendedSequenceNumber and packet.extendedTimestamp.
+class RTPJitterBuffer extends EventEmitter {
+    constructor(options) {
+        super();
+        let self = this;
+
+        options = options || {};
+
+        self.clockRate = options['clock_rate'] || 8000;
+        self.targetDelay = options['delay'] === undefined ? 60 : options['delay'];
+        self.maxDelay = options['max_delay'] === undefined ? 300 : options['max_delay'];
+        self.adaptive = options['adaptive'] === undefined ? true : options['adaptive'];
+
+        // A jump this large is treated as the sender restarting rather than loss.
+        self.maxGap = 1000;
+
+        self.timer = null;
+        self.latePackets = 0;
+        self.duplicatePackets = 0;
+
+        self.reset();
+    }
+
+    reset() {
+        let self = this;
+        if(self.timer)
+            clearTimeout(self.timer);
+
+        self.timer = null;
+        self.ssrc = null;
+        self.packets = new Map();
+        self.nextSequenceNumber = null;
+        self.highestSequenceNumber = null;
+        self.highestTimestamp = null;
+        self.baseTime = null;
+        self.baseTimestamp = null;
+        self.jitter = 0;
+        self.lastTransit = null;
+    }
+
+    stop() {
+        let self = this;
+        self.reset();
+    }
+
+    // Interarrival jitter in milliseconds (RFC 3550 6.4.1).
+    jitterMsecs() {
+        let self = this;
+        return self.jitter * 1000 / self.clockRate;
+    }
+
+    delay() {
+        let self = this;
+        if(!self.adaptive)
+            return self.targetDelay;
+
+        return Math.min(self.maxDelay, Math.max(self.targetDelay, 3 * self.jitterMsecs()));
+    }
+
+    playoutTime(extendedTimestamp) {
+        let self = this;
+        return self.baseTime + ((extendedTimestamp - self.baseTimestamp) * 1000 / self.clockRate) + self.delay();
+    }
+
+    push(packet) {
+        let self = this;
+        let now = Date.now();
+
+        if(self.ssrc !== null && packet.ssrc != self.ssrc) {
+            self.flush();
+            self.reset();
+            self.emit('reset', packet.ssrc);
+        }
+
+        if(self.ssrc === null) {
+            self.ssrc = packet.ssrc;
+            self.highestSequenceNumber = packet.sequenceNumber;
+            self.highestTimestamp = packet.timestamp;
+            self.nextSequenceNumber = packet.sequenceNumber;
+            self.baseTime = now;
+            self.baseTimestamp = packet.timestamp;
+        }
+
+        let sequenceDelta = ((packet.sequenceNumber - (self.highestSequenceNumber & 0xFFFF) + 0x8000) & 0xFFFF) - 0x8000;
+        let timestampDelta = (packet.timestamp - (self.highestTimestamp >>> 0)) | 0;
+
+        packet.extendedSequenceNumber = self.highestSequenceNumber + sequenceDelta;
+        packet.extendedTimestamp = self.highestTimestamp + timestampDelta;
+        packet.arrival = now;
+
+        if(Math.abs(packet.extendedSequenceNumber - self.nextSequenceNumber) > self.maxGap) {
+            self.flush();
+            self.reset();
+            self.emit('reset', packet.ssrc);
+            self.push(packet);
+            return;
+        }
+
+        if(sequenceDelta > 0) {
+            self.highestSequenceNumber = packet.extendedSequenceNumber;
+            self.highestTimestamp = packet.extendedTimestamp;
+        }
+
+        let transit = (now * self.clockRate / 1000) - packet.extendedTimestamp;
+        if(self.lastTransit !== null)
+            self.jitter += (Math.abs(transit - self.lastTransit) - self.jitter) / 16;
+        self.lastTransit = transit;
+
+        if(packet.extendedSequenceNumber < self.nextSequenceNumber) {
+            ++self.latePackets;
+            return;
+        }
+
+        if(self.packets.has(packet.extendedSequenceNumber)) {
+            ++self.duplicatePackets;
+            return;
+        }
+
+        // Re-anchor if the sender's clock has drifted too far from ours.
+        let offset = self.playoutTime(packet.extendedTimestamp) - now;
+        if(offset > self.maxDelay + self.delay() || offset < -self.maxDelay) {
+            self.baseTime = now;
+            self.baseTimestamp = packet.extendedTimestamp;
+        }
+
+        self.packets.set(packet.extendedSequenceNumber, packet);
+        self.release();
+    }
+
+    // Releases everything still buffered, without waiting for it to be due.
+    flush() {
+        let self = this;
+        while(self.packets.size > 0) {
+            let first = self.firstBuffered();
+            if(first > self.nextSequenceNumber)
+                self.emit('loss', {sequenceNumber: self.nextSequenceNumber, count: first - self.nextSequenceNumber});
+
+            let packet = self.packets.get(first);
+            self.packets.delete(first);
+            self.nextSequenceNumber = first + 1;
+            self.emit('packet', packet);
+        }
+    }
+
+    firstBuffered() {
+        let self = this;
+        let first = null;
+        for(let sequenceNumber of self.packets.keys()) {
+            if(first === null || sequenceNumber < first)
+                first = sequenceNumber;
+        }
+
+        return first;
+    }
+
+    release() {
+        let self = this;
+        if(self.timer)
+            clearTimeout(self.timer);
+
+        self.timer = null;
+
+        let now = Date.now();
+        while(self.packets.size > 0) {
+            let packet = self.packets.get(self.nextSequenceNumber);
+            if(packet) {
+                if(self.playoutTime(packet.extendedTimestamp) > now)
+                    break;
+
+                self.packets.delete(self.nextSequenceNumber);
+                ++self.nextSequenceNumber;
+                self.emit('packet', packet);
+                continue;
+            }
+
+            // Give a missing packet until the one after it is due before declaring it lost.
+            let first = self.firstBuffered();
+            if(self.playoutTime(self.packets.get(first).extendedTimestamp) > now)
+                break;
+
+            self.emit('loss', {sequenceNumber: self.nextSequenceNumber, count: first - self.nextSequenceNumber});
+            self.nextSequenceNumber = first;
+        }
+
+        if(self.packets.size == 0)
+            return;
+
+        let next = self.packets.get(self.nextSequenceNumber) || self.packets.get(self.firstBuffered());
+        let wait = Math.max(0, self.playoutTime(next.extendedTimestamp) - now);
+        self.timer = setTimeout(() => {
+            self.timer = null;
+            self.release();
+        }, wait);
+    }
+}
+
+module.exports = RTPJitterBuffer;
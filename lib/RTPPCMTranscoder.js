@@ -0,0 +1,149 @@
+"use strict";
+
+const AACELDAudioEncoder = require('./AACELDAudioEncoder');
+const AudioFormat = require('./AudioFormat');
+const AudioProcessor = require('./AudioProcessor');
+const OpusAudioEncoder = require('./OpusAudioEncoder');
+const RTPAudioTranscoder = require('./RTPAudioTranscoder');
+const Resampler = require('./Resampler');
+const opus = require('node-opus');
+
+// Base for transcoders that decode the camera's audio to PCM and re-encode it in
+// whichever codec HomeKit selected. Subclasses implement samplesInPayload() and
+// decode(), which returns signed 16-bit little endian mono samples at the incoming
+// sample rate.
+class RTPPCMTranscoder extends RTPAudioTranscoder {
+    constructor(options) {
+        super(options);
+        let self = this;
+
+        // options['gain'] is the camera's gain configuration; see AudioProcessor.fromConfig().
+        self.processor = AudioProcessor.fromConfig(self.incomingSampleRate, options['gain']);
+        self.ffmpegPath = options['ffmpeg_path'];
+        self.opusOptions = options['opus'] || {};
+        self.encoder = null;
+        self.opusDecoder = null;
+        self.talkbackRejected = false;
+
+        // Last decoded packet and how many packets have been concealed since.
+        self.lastSamples = null;
+        self.concealedPackets = 0;
+
+        self.resampler = null;
+    }
+
+    setOutgoingFormat(format) {
+        let self = this;
+        super.setOutgoingFormat(format);
+
+        if(self.encoder)
+            self.encoder.stop();
+
+        self.resampler = new Resampler(self.incomingSampleRate, self.outgoingSampleRate);
+        self.opusDecoder = new opus.OpusEncoder(self.outgoingSampleRate, 1);
+
+        if(self.outgoingCodec == 'AAC-eld') {
+            self.encoder = new AACELDAudioEncoder(self.outgoingSampleRate, self.outgoingPacketTime, {
+                'bit_rate': self.outgoingBitRate,
+                'ffmpeg_path': self.ffmpegPath,
+                'log': self.log
+            });
+        } else {
+            self.encoder = new OpusAudioEncoder(self.outgoingSampleRate, self.outgoingPacketTime, self.encoderOptions());
+        }
+    }
+
+    reconfigureOutgoing(format) {
+        let self = this;
+        super.reconfigureOutgoing(format);
+
+        if(self.encoder && self.encoder.configure)
+            self.encoder.configure(self.encoderOptions());
+    }
+
+    // Negotiated parameters, plus the camera's opus configuration; see AudioFormat.opusOptions().
+    encoderOptions() {
+        let self = this;
+        return AudioFormat.opusOptions({
+            'bit_rate': self.outgoingBitRate,
+            'vbr': self.outgoingVBR,
+            'channels': self.outgoingChannels,
+            'comfort_noise': self.outgoingComfortNoise
+        }, self.opusOptions);
+    }
+
+    stop() {
+        let self = this;
+        super.stop();
+
+        if(self.encoder) {
+            self.encoder.stop();
+            self.encoder = null;
+        }
+    }
+
+    decode(payload) {
+        throw {message: 'decode unimplemented'};
+    }
+
+    transcode(payload, callback) {
+        let self = this;
+        let samples = self.processor.process(self.decode(payload));
+
+        if(samples.length > 0) {
+            self.lastSamples = samples;
+            self.concealedPackets = 0;
+        }
+
+        self.encode(samples, callback);
+    }
+
+    // Repeats the last packet received, fading it out over successive losses.
+    conceal(incomingSamples, callback) {
+        let self = this;
+        if(!self.lastSamples) {
+            callback([]);
+            return;
+        }
+
+        ++self.concealedPackets;
+        let attenuation = Math.max(0, 1 - (self.concealedPackets * 0.25));
+        let samples = Buffer.alloc(incomingSamples * 2);
+        let sourceSamples = self.lastSamples.length >> 1;
+
+        for(let i = 0; i < incomingSamples; ++i) {
+            let sample = self.lastSamples.readInt16LE((i % sourceSamples) * 2);
+            samples.writeInt16LE(Math.round(sample * attenuation), i * 2);
+        }
+
+        self.encode(samples, callback);
+    }
+
+    // Takes samples at the incoming rate and calls back with as many payloads as they fill.
+    encode(samples, callback) {
+        let self = this;
+        if(!self.encoder) {
+            callback([]);
+            return;
+        }
+
+        self.encoder.encode(self.resampler.process(samples), callback);
+    }
+
+    // HomeKit talks back in the codec it selected, and only Opus can be decoded here.
+    audioDataInput(payload, callback) {
+        let self = this;
+        if(self.outgoingCodec == 'AAC-eld' || !self.opusDecoder) {
+            if(!self.talkbackRejected)
+                self.log('RTPPCMTranscoder: cannot decode talkback in ' + self.outgoingCodec + ', ignoring it.');
+
+            self.talkbackRejected = true;
+            return;
+        }
+
+        let samples = self.opusDecoder.decode(payload);
+        callback(samples);
+    }
+}
+
+module.exports = RTPPCMTranscoder;
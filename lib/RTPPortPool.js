@@ -0,0 +1,133 @@
+"use strict";
+
+const dgram = require('dgram');
+
+let sharedPool = null;
+
+// Hands out UDP sockets bound to ports within a fixed range, so that the ports
+// used for streaming are predictable enough to open in a firewall.
+class RTPPortPool {
+    constructor(min, max) {
+        let self = this;
+        self.configure(min, max);
+        self.inUse = new Map();
+    }
+
+    static shared() {
+        if(!sharedPool)
+            sharedPool = new RTPPortPool(10000, 65535);
+
+        return sharedPool;
+    }
+
+    // Whether min-max is a range of unprivileged ports with room for an RTP/RTCP pair.
+    static isValidRange(min, max) {
+        return Number.isInteger(min) && Number.isInteger(max) && min >= 1024 && max <= 65535 && min < max;
+    }
+
+    configure(min, max) {
+        let self = this;
+        self.min = min || 10000;
+        self.max = max || 65535;
+
+        if(!RTPPortPool.isValidRange(self.min, self.max))
+            throw {message: 'Invalid UDP port range ' + self.min + '-' + self.max + '.'};
+
+        self.next = self.min;
+    }
+
+    createSocket(type) {
+        let self = this;
+        return self.allocate(type, 1).then(sockets => sockets[0]);
+    }
+
+    // RTP and RTCP on consecutive ports, aligned to the start of the range.
+    createSocketPair(type) {
+        let self = this;
+        return self.allocate(type, 2);
+    }
+
+    // Tries each block of ports in turn, starting after the last one handed out
+    // so that ports aren't reused straight away.
+    allocate(type, count) {
+        let self = this;
+        let blocks = Math.floor((self.max - self.min + 1) / count);
+        let first = Math.floor((self.next - self.min) / count);
+
+        let tryNext = (attempt) => {
+            if(attempt >= blocks)
+                return Promise.reject({message: 'No free UDP ports between ' + self.min + ' and ' + self.max + '.'});
+
+            let port = self.min + ((first + attempt) % blocks) * count;
+            let range = [];
+            for(let i = 0; i < count; ++i)
+                range.push(port + i);
+
+            if(range.some(p => self.inUse.has(p)))
+                return tryNext(attempt + 1);
+
+            range.forEach(p => self.inUse.set(p, null));
+            return Promise.all(range.map(p => RTPPortPool.bind(type, p))).then(sockets => {
+                if(sockets.every(socket => socket)) {
+                    sockets.forEach((socket, i) => self.inUse.set(range[i], socket));
+                    self.next = port + count > self.max ? self.min : port + count;
+                    return sockets;
+                }
+
+                sockets.forEach(socket => {
+                    if(socket)
+                        socket.close();
+                });
+
+                range.forEach(p => self.inUse.delete(p));
+                return tryNext(attempt + 1);
+            });
+        };
+
+        return tryNext(0);
+    }
+
+    // Closes a socket, returning its port to the pool if it came from here.
+    release(socket) {
+        let self = this;
+        if(!socket)
+            return;
+
+        for(let entry of self.inUse) {
+            if(entry[1] === socket) {
+                self.inUse.delete(entry[0]);
+                break;
+            }
+        }
+
+        try {
+            socket.close();
+        } catch(err) {
+            // Already closed.
+        }
+    }
+
+    static bind(type, port) {
+        return new Promise((resolve, reject) => {
+            let socket = dgram.createSocket(type);
+
+            let errorHandler = () => {
+                socket.close();
+                resolve(null);
+            };
+
+            let listenHandler = () => {
+                socket.removeListener('error', errorHandler);
+                socket.removeListener('listening', listenHandler);
+                resolve(socket);
+            };
+
+            socket.on('error', errorHandler);
+            socket.on('listening', listenHandler);
+
+            socket.bind(port);
+        });
+    }
+}
+
+module.exports = RTPPortPool;
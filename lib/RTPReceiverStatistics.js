@@ -0,0 +1,121 @@
+"use strict";
+
+// Reception statistics for a single RTP source, kept as described in RFC 3550
+// appendix A.3 and A.8, and the report block describing them.
+class RTPReceiverStatistics {
+    constructor(clockRate) {
+        let self = this;
+        self.clockRate = clockRate;
+        self.reset(null);
+    }
+
+    reset(ssrc) {
+        let self = this;
+        self.ssrc = ssrc;
+        self.packets = 0;
+        self.octets = 0;
+        self.baseSequenceNumber = null;
+        self.highestSequenceNumber = null;
+        self.expectedPrior = 0;
+        self.receivedPrior = 0;
+        self.fractionLost = 0;
+        self.jitter = 0;
+        self.lastArrival = null;
+        self.lastTimestamp = null;
+        self.lastSenderReport = 0;
+        self.lastSenderReportTime = null;
+    }
+
+    // Call for every packet as it arrives, before any reordering.
+    received(ssrc, sequenceNumber, timestamp, length) {
+        let self = this;
+        if(self.ssrc !== ssrc)
+            self.reset(ssrc);
+
+        if(self.highestSequenceNumber === null) {
+            self.baseSequenceNumber = sequenceNumber;
+            self.highestSequenceNumber = sequenceNumber;
+        }
+
+        let delta = ((sequenceNumber - (self.highestSequenceNumber & 0xFFFF) + 0x8000) & 0xFFFF) - 0x8000;
+        if(delta > 0)
+            self.highestSequenceNumber += delta;
+
+        ++self.packets;
+        self.octets += length;
+
+        let now = Date.now();
+        if(self.lastArrival !== null) {
+            let d = ((now - self.lastArrival) * self.clockRate / 1000) - ((timestamp - self.lastTimestamp) | 0);
+            self.jitter += (Math.abs(d) - self.jitter) / 16;
+        }
+
+        self.lastArrival = now;
+        self.lastTimestamp = timestamp;
+    }
+
+    // Takes the middle 32 bits of the NTP timestamp of a Sender Report from this source.
+    senderReport(ntpMiddle) {
+        let self = this;
+        self.lastSenderReport = ntpMiddle;
+        self.lastSenderReportTime = Date.now();
+    }
+
+    expected() {
+        let self = this;
+        if(self.highestSequenceNumber === null)
+            return 0;
+
+        return self.highestSequenceNumber - self.baseSequenceNumber + 1;
+    }
+
+    lost() {
+        let self = this;
+        return Math.max(0, self.expected() - self.packets);
+    }
+
+    jitterMsecs() {
+        let self = this;
+        return self.jitter * 1000 / self.clockRate;
+    }
+
+    reportBlock() {
+        let self = this;
+        let expected = self.expected();
+        let expectedInterval = expected - self.expectedPrior;
+        let receivedInterval = self.packets - self.receivedPrior;
+        let lostInterval = expectedInterval - receivedInterval;
+
+        self.expectedPrior = expected;
+        self.receivedPrior = self.packets;
+        self.fractionLost = (expectedInterval == 0 || lostInterval <= 0) ? 0 : Math.floor((lostInterval << 8) / expectedInterval);
+
+        let delay = 0;
+        if(self.lastSenderReportTime !== null)
+            delay = Math.floor((Date.now() - self.lastSenderReportTime) * 65536 / 1000);
+
+        let block = Buffer.alloc(24);
+        block.writeUInt32BE(self.ssrc, 0);
+        block.writeUInt8(self.fractionLost, 4);
+        block.writeUIntBE(Math.min(self.lost(), 0x7FFFFF), 5, 3);
+        block.writeUInt32BE(self.highestSequenceNumber >>> 0, 8);
+        block.writeUInt32BE(Math.floor(self.jitter) >>> 0, 12);
+        block.writeUInt32BE(self.lastSenderReport >>> 0, 16);
+        block.writeUInt32BE(delay >>> 0, 20);
+        return block;
+    }
+
+    stats() {
+        let self = this;
+        return {
+            'ssrc': self.ssrc,
+            'packets': self.packets,
+            'octets': self.octets,
+            'lost': self.lost(),
+            'fraction_lost': self.fractionLost / 256,
+            'jitter': self.jitterMsecs()
+        };
+    }
+}
+
+module.exports = RTPReceiverStatistics;
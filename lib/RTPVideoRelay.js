@@ -0,0 +1,590 @@
+"use strict";
+
+const EventEmitter = require('events').EventEmitter;
+const crypto = require('crypto');
+const os = require('os');
+const ip = require('ip');
+const RTPPortPool = require('./RTPPortPool');
+const RTPReceiverStatistics = require('./RTPReceiverStatistics');
+const SRTPSession = require('./SRTPSession');
+
+const NAL_IDR = 5;
+const NAL_SPS = 7;
+const NAL_PPS = 8;
+const NAL_STAP_A = 24;
+const NAL_FU_A = 28;
+
+// RTP and, if used, the SRTP authentication tag.
+const RTP_HEADER_LENGTH = 12;
+const SRTP_TAG_LENGTH = 10;
+
+// Relays the camera's H.264 video to HomeKit instead of leaving it to HAP-NodeJS's
+// proxy. Packets are depacketized into NAL units and packetized again under our
+// own SSRC, payload type and sequence numbers, fragmenting to fit the MTU, with
+// the SPS and PPS put in front of every IDR frame. Picture loss reported by
+// HomeKit is passed on to the camera as an RTCP keyframe request, which not
+// every camera honors, and emitted as 'keyframe-request'.
+class RTPVideoRelay extends EventEmitter {
+    constructor(options) {
+        super();
+        let self = this;
+
+        self.incomingPayloadType = options['incoming']['payload_type'];
+        self.incomingClockRate = options['incoming']['clock_rate'] || 90000;
+        self.incomingAddress = options['incoming']['address'];
+        self.incomingRTPPort = null;
+        self.incomingRTCPPort = null;
+        self.incomingRTPChannel = null;
+        self.incomingRTCPChannel = null;
+        self.rtspClient = null;
+
+        self.outgoingAddress = options['outgoing']['address'];
+        self.outgoingPort = options['outgoing']['port'];
+        self.outgoingSSRC = options['outgoing']['ssrc'];
+        self.outgoingPayloadType = options['outgoing']['payload_type'] || 99;
+        self.mtu = options['outgoing']['mtu'] || 1378;
+
+        self.srtp = null;
+        if(options['outgoing']['srtp_key'] && options['outgoing']['srtp_salt'])
+            self.srtp = new SRTPSession(options['outgoing']['srtp_key'], options['outgoing']['srtp_salt']);
+
+        self.portPool = options['port_pool'] || RTPPortPool.shared();
+        self.incomingRTPSocket = null;
+        self.incomingRTCPSocket = null;
+        self.outgoingSocket = null;
+
+        // Parameter sets from the SDP, replaced by any that arrive in-band.
+        self.sps = null;
+        self.pps = null;
+        for(let set of (options['incoming']['sprop_parameter_sets'] || '').split(',')) {
+            let nal = Buffer.from(set, 'base64');
+            if(nal.length > 0)
+                self.parameterSet(nal);
+        }
+
+        // Whether the access unit being relayed has had its parameter sets sent.
+        self.accessUnitTimestamp = null;
+        self.parameterSetsSent = false;
+
+        // FU-A fragments of the NAL unit being reassembled.
+        self.fragments = null;
+        self.lastSequenceNumber = null;
+
+        self.incomingSSRC = null;
+        self.incomingTimestampBase = null;
+        self.outgoingTimestampBase = crypto.randomBytes(4).readUInt32BE(0);
+        self.outgoingSequenceNumber = crypto.randomBytes(2).readUInt16BE(0);
+        self.lastOutgoingTimestamp = null;
+
+        self.senderPacketCount = 0;
+        self.senderOctetCount = 0;
+
+        self.reportSSRC = crypto.randomBytes(4).readUInt32BE(0);
+        self.reportTimer = null;
+        self.incomingStatistics = new RTPReceiverStatistics(self.incomingClockRate);
+        self.remoteReport = null;
+        self.forwardedSenderReports = [];
+
+        // Keyframe requests to the camera are limited to one per this many milliseconds.
+        self.keyFrameInterval = options['keyframe_interval'] === undefined ? 1000 : options['keyframe_interval'];
+        self.lastKeyFrameRequest = 0;
+        self.firSequenceNumber = 0;
+    }
+
+    incomingLocalRTPPort() {
+        let self = this;
+        return self.incomingRTPSocket.address().port;
+    }
+
+    incomingLocalRTCPPort() {
+        let self = this;
+        return self.incomingRTCPSocket.address().port;
+    }
+
+    outgoingLocalPort() {
+        let self = this;
+        return self.outgoingSocket.address().port;
+    }
+
+    // HomeKit's maximum packet size; payloads are fragmented to fit inside it.
+    setMTU(mtu) {
+        let self = this;
+        if(mtu)
+            self.mtu = mtu;
+    }
+
+    maxPayloadLength() {
+        let self = this;
+        return self.mtu - RTP_HEADER_LENGTH - (self.srtp ? SRTP_TAG_LENGTH : 0);
+    }
+
+    start() {
+        let self = this;
+        let incomingSocketType = self.incomingAddress ? (ip.isV4Format(self.incomingAddress) ? 'udp4' : 'udp6') : 'udp4';
+        let outgoingSocketType = self.outgoingAddress ? (ip.isV4Format(self.outgoingAddress) ? 'udp4' : 'udp6') : 'udp4';
+
+        // Packets pushed in from a shared RTSP session don't need sockets of their own.
+        let incoming = self.incomingRTPChannel !== null ? Promise.resolve() : self.portPool.createSocketPair(incomingSocketType).then(sockets => {
+            self.incomingRTPSocket = sockets[0];
+            self.incomingRTCPSocket = sockets[1];
+        });
+
+        return incoming.then(() => {
+            return self.portPool.createSocket(outgoingSocketType);
+        }).then(outgoingSocket => {
+            self.outgoingSocket = outgoingSocket;
+            self.bound();
+        }).catch(err => {
+            self.stop();
+            return Promise.reject(err);
+        });
+    }
+
+    stop() {
+        let self = this;
+        self.stopReports();
+
+        self.portPool.release(self.incomingRTPSocket);
+        self.portPool.release(self.incomingRTCPSocket);
+        self.portPool.release(self.outgoingSocket);
+
+        self.incomingRTPSocket = null;
+        self.incomingRTCPSocket = null;
+        self.outgoingSocket = null;
+    }
+
+    // The camera's stream restarted; carry on from where the outgoing stream left off.
+    resetIncoming() {
+        let self = this;
+        self.incomingSSRC = null;
+        self.incomingTimestampBase = null;
+        self.fragments = null;
+        self.lastSequenceNumber = null;
+    }
+
+    sendOut(msg) {
+        let self = this;
+        if(!self.outgoingSocket)
+            return;
+
+        self.outgoingSocket.send(msg, self.outgoingPort, self.outgoingAddress);
+    }
+
+    sendOutRTP(packet) {
+        let self = this;
+        self.sendOut(self.srtp ? self.srtp.protect(packet) : packet);
+    }
+
+    sendOutRTCP(packet) {
+        let self = this;
+        self.sendOut(self.srtp ? self.srtp.protectRTCP(packet) : packet);
+    }
+
+    sendToCamera(packet) {
+        let self = this;
+        if(self.incomingRTCPChannel !== null) {
+            if(self.rtspClient)
+                self.rtspClient.sendInterleaved(self.incomingRTCPChannel, packet);
+        } else if(self.incomingRTCPSocket && self.incomingRTCPPort) {
+            self.incomingRTCPSocket.send(packet, self.incomingRTCPPort, self.incomingAddress);
+        }
+    }
+
+    outgoingTimestamp(timestamp) {
+        let self = this;
+        return (self.outgoingTimestampBase + ((timestamp - self.incomingTimestampBase) | 0)) >>> 0;
+    }
+
+    rtpMessage(msg) {
+        let self = this;
+        if(msg.length < RTP_HEADER_LENGTH)
+            return;
+
+        let byte0 = msg.readUInt8(0);
+        let extension = (byte0 >> 4) & 1;
+        let cc = byte0 & 0xf;
+        let mpt = msg.readUInt8(1);
+        let marker = (mpt & 0x80) != 0;
+        let pt = mpt & 0x7F;
+        let sequenceNumber = msg.readUInt16BE(2);
+        let timestamp = msg.readUInt32BE(4);
+        let ssrc = msg.readUInt32BE(8);
+
+        let offset = RTP_HEADER_LENGTH + 4 * cc;
+        if(extension)
+            offset += (msg.readUInt16BE(offset + 2) * 4) + 4;
+
+        if(pt != self.incomingPayloadType || offset >= msg.length)
+            return;
+
+        self.incomingStatistics.received(ssrc, sequenceNumber, timestamp, msg.length - offset);
+
+        if(ssrc !== self.incomingSSRC) {
+            // Continue the outgoing timeline a frame after where it stopped.
+            if(self.lastOutgoingTimestamp !== null)
+                self.outgoingTimestampBase = (self.lastOutgoingTimestamp + Math.round(self.incomingClockRate / 30)) >>> 0;
+
+            self.incomingSSRC = ssrc;
+            self.incomingTimestampBase = timestamp;
+            self.fragments = null;
+            self.lastSequenceNumber = null;
+        }
+
+        // A fragmented NAL unit with a piece missing can't be used.
+        if(self.lastSequenceNumber !== null && sequenceNumber != ((self.lastSequenceNumber + 1) & 0xFFFF))
+            self.fragments = null;
+
+        self.lastSequenceNumber = sequenceNumber;
+        self.depacketize(msg.slice(offset), self.outgoingTimestamp(timestamp), marker);
+    }
+
+    // RFC 6184 single NAL unit, STAP-A and FU-A packets.
+    depacketize(payload, timestamp, marker) {
+        let self = this;
+        let type = payload[0] & 0x1F;
+
+        if(type == NAL_STAP_A) {
+            let nals = [];
+            for(let offset = 1; offset + 2 <= payload.length;) {
+                let size = payload.readUInt16BE(offset);
+                offset += 2;
+                if(size == 0 || offset + size > payload.length)
+                    break;
+
+                nals.push(payload.slice(offset, offset + size));
+                offset += size;
+            }
+
+            nals.forEach((nal, i) => {
+                self.relayNAL(nal, timestamp, marker && i == nals.length - 1);
+            });
+
+            return;
+        }
+
+        if(type == NAL_FU_A) {
+            if(payload.length < 2)
+                return;
+
+            let start = (payload[1] & 0x80) != 0;
+            let end = (payload[1] & 0x40) != 0;
+
+            if(start)
+                self.fragments = [Buffer.from([(payload[0] & 0xE0) | (payload[1] & 0x1F)])];
+
+            if(!self.fragments)
+                return;
+
+            self.fragments.push(payload.slice(2));
+            if(end) {
+                let nal = Buffer.concat(self.fragments);
+                self.fragments = null;
+                self.relayNAL(nal, timestamp, marker);
+            }
+
+            return;
+        }
+
+        if(type >= 1 && type <= 23)
+            self.relayNAL(payload, timestamp, marker);
+    }
+
+    parameterSet(nal) {
+        let self = this;
+        let type = nal[0] & 0x1F;
+        if(type == NAL_SPS)
+            self.sps = nal;
+        else if(type == NAL_PPS)
+            self.pps = nal;
+    }
+
+    relayNAL(nal, timestamp, marker) {
+        let self = this;
+        let type = nal[0] & 0x1F;
+
+        if(timestamp !== self.accessUnitTimestamp) {
+            self.accessUnitTimestamp = timestamp;
+            self.parameterSetsSent = false;
+        }
+
+        if(type == NAL_SPS || type == NAL_PPS) {
+            self.parameterSet(nal);
+            self.parameterSetsSent = self.parameterSetsSent || type == NAL_PPS;
+        } else if(type == NAL_IDR && !self.parameterSetsSent) {
+            // Viewers that join mid-stream can't decode an IDR frame without these.
+            if(self.sps && self.pps) {
+                self.packetize(self.sps, timestamp, false);
+                self.packetize(self.pps, timestamp, false);
+            }
+
+            self.parameterSetsSent = true;
+        }
+
+        self.packetize(nal, timestamp, marker);
+    }
+
+    // Sends the cached SPS and PPS straight away, so that HomeKit has them again
+    // for the next IDR frame. Returns whether there were any to send.
+    sendParameterSets() {
+        let self = this;
+        if(!self.sps || !self.pps || self.lastOutgoingTimestamp === null)
+            return false;
+
+        self.packetize(self.sps, self.lastOutgoingTimestamp, false);
+        self.packetize(self.pps, self.lastOutgoingTimestamp, false);
+        return true;
+    }
+
+    // A single NAL unit packet if it fits, otherwise FU-A fragments.
+    packetize(nal, timestamp, marker) {
+        let self = this;
+        let maxPayloadLength = self.maxPayloadLength();
+
+        if(nal.length <= maxPayloadLength) {
+            self.sendRTP(nal, timestamp, marker);
+            return;
+        }
+
+        let indicator = (nal[0] & 0xE0) | NAL_FU_A;
+        let type = nal[0] & 0x1F;
+        let chunk = maxPayloadLength - 2;
+        for(let offset = 1; offset < nal.length; offset += chunk) {
+            let first = offset == 1;
+            let last = offset + chunk >= nal.length;
+            let header = Buffer.from([indicator, (first ? 0x80 : 0) | (last ? 0x40 : 0) | type]);
+            self.sendRTP(Buffer.concat([header, nal.slice(offset, offset + chunk)]), timestamp, marker && last);
+        }
+    }
+
+    sendRTP(payload, timestamp, marker) {
+        let self = this;
+        let header = Buffer.alloc(RTP_HEADER_LENGTH);
+        header.writeUInt8(0x80, 0);
+        header.writeUInt8((marker ? 0x80 : 0) | self.outgoingPayloadType, 1);
+        header.writeUInt16BE(self.outgoingSequenceNumber, 2);
+        header.writeUInt32BE(timestamp, 4);
+        header.writeUInt32BE(self.outgoingSSRC, 8);
+
+        self.outgoingSequenceNumber = (self.outgoingSequenceNumber + 1) & 0xFFFF;
+        self.lastOutgoingTimestamp = timestamp;
+        ++self.senderPacketCount;
+        self.senderOctetCount += payload.length;
+
+        self.sendOutRTP(Buffer.concat([header, payload]));
+    }
+
+    // The camera's Sender Reports are passed on with our SSRC, timestamps and counts,
+    // so that HomeKit can synchronize the video with the transcoded audio.
+    rtcpMessage(msg) {
+        let self = this;
+        let offset = 0;
+        while((offset + 8) <= msg.length) {
+            let pt = msg.readUInt8(offset + 1);
+            let len = msg.readUInt16BE(offset + 2) * 4;
+            let packet = msg.slice(offset, offset + 4 + len);
+
+            if(pt == 200 && packet.length >= 28 && packet.readUInt32BE(4) === self.incomingSSRC) {
+                self.incomingStatistics.senderReport(packet.readUInt32BE(10));
+
+                self.forwardedSenderReports.push({'ntp': packet.readUInt32BE(10), 'time': Date.now()});
+                if(self.forwardedSenderReports.length > 8)
+                    self.forwardedSenderReports.shift();
+
+                // Only the sender info; the camera's report blocks mean nothing to HomeKit.
+                let report = Buffer.from(packet.slice(0, 28));
+                report.writeUInt8(0x80, 0);
+                report.writeUInt16BE(6, 2);
+                report.writeUInt32BE(self.outgoingSSRC, 4);
+                report.writeUInt32BE(self.outgoingTimestamp(packet.readUInt32BE(16)), 16);
+                report.writeUInt32BE(self.senderPacketCount, 20);
+                report.writeUInt32BE(self.senderOctetCount, 24);
+                self.sendOutRTCP(report);
+            }
+
+            offset += 4 + len;
+        }
+    }
+
+    // RTCP from HomeKit: receiver reports and picture loss feedback.
+    rtcpReply(msg) {
+        let self = this;
+        if(self.srtp) {
+            msg = self.srtp.unprotectRTCP(msg);
+            if(!msg)
+                return;
+        }
+
+        let offset = 0;
+        while((offset + 8) <= msg.length) {
+            let count = msg.readUInt8(offset) & 0x1F;
+            let type = msg.readUInt8(offset + 1);
+            let len = msg.readUInt16BE(offset + 2) * 4;
+
+            let blocks = -1;
+            if(type == 200)
+                blocks = offset + 28;
+            else if(type == 201)
+                blocks = offset + 8;
+
+            if(blocks >= 0) {
+                for(let i = 0; i < count && (blocks + (i + 1) * 24) <= msg.length; ++i)
+                    self.processReportBlock(msg.slice(blocks + i * 24, blocks + (i + 1) * 24));
+            }
+
+            // Payload-specific feedback: FMT 1 is PLI, FMT 4 is FIR.
+            if(type == 206 && (count == 1 || count == 4))
+                self.requestKeyFrame(count == 1 ? 'pli' : 'fir');
+
+            offset += 4 + len;
+        }
+    }
+
+    processReportBlock(block) {
+        let self = this;
+        if(block.readUInt32BE(0) != self.outgoingSSRC)
+            return;
+
+        let lastSenderReport = block.readUInt32BE(16);
+        let delay = block.readUInt32BE(20);
+        let rtt = null;
+        for(let report of self.forwardedSenderReports) {
+            if(lastSenderReport != 0 && report['ntp'] == lastSenderReport)
+                rtt = Math.max(0, Date.now() - report['time'] - (delay * 1000 / 65536));
+        }
+
+        self.remoteReport = {
+            'fraction_lost': block.readUInt8(4) / 256,
+            'lost': block.readIntBE(5, 3),
+            'highest_sequence_number': block.readUInt32BE(8),
+            'jitter': block.readUInt32BE(12) * 1000 / self.incomingClockRate,
+            'rtt': rtt === null && self.remoteReport ? self.remoteReport['rtt'] : rtt
+        };
+
+        self.emit('report', self.remoteReport);
+    }
+
+    // Sends the camera a PLI and a FIR, since cameras tend to honor only one of them.
+    requestKeyFrame(reason) {
+        let self = this;
+        let now = Date.now();
+        if(self.incomingSSRC === null || now - self.lastKeyFrameRequest < self.keyFrameInterval)
+            return;
+
+        self.lastKeyFrameRequest = now;
+
+        let pli = Buffer.alloc(12);
+        pli.writeUInt8(0x81, 0);
+        pli.writeUInt8(206, 1);
+        pli.writeUInt16BE(2, 2);
+        pli.writeUInt32BE(self.reportSSRC, 4);
+        pli.writeUInt32BE(self.incomingSSRC, 8);
+
+        let fir = Buffer.alloc(20);
+        fir.writeUInt8(0x84, 0);
+        fir.writeUInt8(206, 1);
+        fir.writeUInt16BE(4, 2);
+        fir.writeUInt32BE(self.reportSSRC, 4);
+        fir.writeUInt32BE(self.incomingSSRC, 12);
+        fir.writeUInt8(self.firSequenceNumber, 16);
+        self.firSequenceNumber = (self.firSequenceNumber + 1) & 0xFF;
+
+        let report = self.receiverReport();
+        self.sendToCamera(report ? Buffer.concat([report, pli, fir]) : Buffer.concat([pli, fir]));
+        self.emit('keyframe-request', reason);
+    }
+
+    // Receiver Report about the camera's video, followed by the SDES CNAME RFC 3550 requires.
+    receiverReport() {
+        let self = this;
+        if(self.incomingStatistics.ssrc === null)
+            return null;
+
+        let report = Buffer.alloc(8);
+        report.writeUInt8(0x81, 0);
+        report.writeUInt8(201, 1);
+        report.writeUInt16BE(7, 2);
+        report.writeUInt32BE(self.reportSSRC, 4);
+
+        let cname = Buffer.from('homebridge@' + os.hostname());
+        let sdesLength = (8 + 2 + cname.length + 4) & ~3;
+        let sdes = Buffer.alloc(sdesLength);
+        sdes.writeUInt8(0x81, 0);
+        sdes.writeUInt8(202, 1);
+        sdes.writeUInt16BE((sdesLength / 4) - 1, 2);
+        sdes.writeUInt32BE(self.reportSSRC, 4);
+        sdes.writeUInt8(1, 8);
+        sdes.writeUInt8(cname.length, 9);
+        cname.copy(sdes, 10);
+
+        return Buffer.concat([report, self.incomingStatistics.reportBlock(), sdes]);
+    }
+
+    sendReceiverReport() {
+        let self = this;
+        let report = self.receiverReport();
+        if(report)
+            self.sendToCamera(report);
+    }
+
+    startReports(intervalMsecs) {
+        let self = this;
+        self.stopReports();
+        self.reportTimer = setInterval(() => {
+            self.sendReceiverReport();
+        }, intervalMsecs || 5000);
+    }
+
+    stopReports() {
+        let self = this;
+        if(self.reportTimer)
+            clearInterval(self.reportTimer);
+
+        self.reportTimer = null;
+    }
+
+    getStats() {
+        let self = this;
+        let outgoing = {
+            'ssrc': self.outgoingSSRC,
+            'packets': self.senderPacketCount,
+            'octets': self.senderOctetCount,
+            'fraction_lost': null,
+            'lost': null,
+            'jitter': null,
+            'rtt': null
+        };
+
+        if(self.remoteReport)
+            Object.assign(outgoing, self.remoteReport);
+
+        return {
+            'incoming': self.incomingStatistics.stats(),
+            'outgoing': outgoing
+        };
+    }
+
+    bindIncoming() {
+        let self = this;
+        if(!self.incomingRTPSocket)
+            return;
+
+        self.incomingRTPSocket.on('message', function(msg, rinfo) {
+            self.rtpMessage(msg);
+        });
+
+        self.incomingRTCPSocket.on('message', function(msg, rinfo) {
+            self.rtcpMessage(msg);
+        });
+    }
+
+    bound() {
+        let self = this;
+        self.bindIncoming();
+
+        self.outgoingSocket.on('message', function(msg, rinfo) {
+            self.rtcpReply(msg);
+        });
+    }
+}
+
+module.exports = RTPVideoRelay;
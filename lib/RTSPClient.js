@@ -2,6 +2,9 @@
 
 const EventEmitter = require('events').EventEmitter;
 const net = require('net');
+const tls = require('tls');
+const fs = require('fs');
+const crypto = require('crypto');
 const rtsp = require('rtsp-stream');
 const url = require('url');
 const www_authenticate = require('www-authenticate');
@@ -11,12 +14,30 @@ const ip = require('ip');
 const Transform = require('stream').Transform;
 const process = require('process');
 
+// RFC 3551 static payload types: [codec, clock rate, channels].
+const STATIC_PAYLOADS = {
+  0: ['PCMU', 8000, 1],
+  3: ['GSM', 8000, 1],
+  8: ['PCMA', 8000, 1],
+  9: ['G722', 8000, 1],
+  10: ['L16', 44100, 2],
+  11: ['L16', 44100, 1],
+  14: ['MPA', 90000, 1],
+  26: ['JPEG', 90000, 1],
+  32: ['MPV', 90000, 1],
+  33: ['MP2T', 90000, 1],
+  34: ['H263', 90000, 1]
+};
+
+const ONVIF_BACKCHANNEL = 'www.onvif.org/ver20/backchannel';
+
 class Collator extends Transform {
   constructor(options) {
     super(options);
     let self = this;
     self._queue = [];
     self._scheduled = false;
+    self._flushCallbacks = [];
   }
 
   _transform(data, encoding, callback) {
@@ -26,90 +47,323 @@ class Collator extends Transform {
     if(!self._scheduled) {
       self._scheduled = true;
       process.nextTick(() => {
+        let callbacks = self._flushCallbacks;
         self.push(Buffer.concat(self._queue));
         self._queue = [];
         self._scheduled = false;
+        self._flushCallbacks = [];
+        for(let callback of callbacks)
+          callback();
       });
     }
   }
+
+  // Calls back once everything written so far has been passed on.
+  flush(callback) {
+    let self = this;
+    if(self._scheduled)
+      self._flushCallbacks.push(callback);
+    else
+      process.nextTick(callback);
+  }
+}
+
+class InterleavedDemuxer extends Transform {
+  constructor(options) {
+    super(options);
+    let self = this;
+    self._buffer = null;
+    self._bodyRemaining = 0;
+  }
+
+  _transform(data, encoding, callback) {
+    let self = this;
+    let buffer = self._buffer ? Buffer.concat([self._buffer, data]) : data;
+    let offset = 0;
+
+    while(offset < buffer.length) {
+      if(self._bodyRemaining > 0) {
+        let end = Math.min(buffer.length, offset + self._bodyRemaining);
+        self.push(buffer.slice(offset, end));
+        self._bodyRemaining -= end - offset;
+        offset = end;
+        continue;
+      }
+
+      // RTP/RTCP packets are framed as '$', channel, 16-bit length (RFC 2326 10.12).
+      if(buffer[offset] == 0x24) {
+        if(offset + 4 > buffer.length)
+          break;
+
+        let length = buffer.readUInt16BE(offset + 2);
+        if(offset + 4 + length > buffer.length)
+          break;
+
+        let channel = buffer.readUInt8(offset + 1);
+        self.emit('interleaved', channel, Buffer.from(buffer.slice(offset + 4, offset + 4 + length)));
+        offset += 4 + length;
+        continue;
+      }
+
+      let headerEnd = buffer.indexOf('\r\n\r\n', offset);
+      if(headerEnd == -1)
+        break;
+
+      headerEnd += 4;
+      let header = buffer.slice(offset, headerEnd);
+      let match = /^content-length:\s*(\d+)/im.exec(header.toString('utf8'));
+      self._bodyRemaining = match ? parseInt(match[1]) : 0;
+      self.push(header);
+      offset = headerEnd;
+    }
+
+    self._buffer = offset < buffer.length ? buffer.slice(offset) : null;
+    callback();
+  }
 }
 
 class RTSPClient extends EventEmitter {
-  constructor(urlString) {
+  constructor(urlString, options) {
     super();
     let self = this;
 
+    options = options || {};
+
     let parsed = url.parse(urlString);
 
-    let auth = parsed.auth;
+    let auth = parsed.auth || '';
     parsed.auth = null;
 
     let authParts = auth.split(':', 2);
     self.username = authParts[0];
-    self.password = authParts[1];
+    self.password = authParts[1] || '';
     self.authenticate = www_authenticate(self.username, self.password);
     self.authenticator = null;
 
-    self.hostname = parsed.hostname;
-    self.port = parsed.port || 554;
-
-    self.sanitizedURI = url.format(parsed);
+    self.tlsConfig = options.tls || {};
+    self.setAddress(parsed);
 
     self.requests = {};
     self.cseq = 1;
     self.session = null;
+    self.sessionTimeout = null;
     self.keepAliveInterval = null;
-    self.keepAliveIntervalMsecs = 5000;
+    self.keepAliveIntervalMsecs = null;
+    self.supportedMethods = null;
     self.pendingReconnect = null;
+    self.socket = null;
+    self.connected = false;
+
+    self.tracks = [];
+    self.playing = false;
+    self.pendingReestablish = null;
+
+    self.mediaTracks = [];
+    self.video = null;
+    self.audio = null;
+
+    // Ask for the ONVIF audio back-channel: true, false or 'auto' (ask, but carry on without it).
+    self.backchannel = options.backchannel || false;
+    self.backchannelSupported = null;
+    self.backchannelTrack = null;
+
+    self.recovering = false;
+    self.recoveryTimeout = null;
+    self.recoveryRetries = options.recoveryRetries === undefined ? 5 : options.recoveryRetries;
+    self.recoveryDelayMsecs = options.recoveryDelay === undefined ? 1000 : options.recoveryDelay;
+    self.recoveryMaxDelayMsecs = 30000;
+
+    // Milliseconds to wait for a response, by method. Zero disables the timeout.
+    self.requestTimeoutMsecs = options.requestTimeout === undefined ? 10000 : options.requestTimeout;
+    self.requestTimeoutsMsecs = Object.assign({
+      'OPTIONS': 5000,
+      'GET_PARAMETER': 5000,
+      'TEARDOWN': 5000
+    }, options.requestTimeouts);
+
+    self.closed = false;
+
+    // 'udp', 'tcp' (interleaved), 'multicast' (falling back to 'udp') or 'auto' (UDP, falling back to TCP if SETUP fails).
+    self.transport = options.transport || 'auto';
+    self.nextChannel = 0;
+
+    self.sdpPromise = null;
+    self.sdp();
+  }
 
-    self.sdpPromise = self.reconnect().then(() => {
-      return self.makeRequest({method: 'OPTIONS', uri: self.sanitizedURI}).then(result => {
-        return self.getSDP();
+  setAddress(parsed) {
+    let self = this;
+    self.secure = parsed.protocol == 'rtsps:';
+    self.hostname = parsed.hostname;
+    self.port = parsed.port || (self.secure ? 322 : 554);
+    self.tlsOptions = self.secure ? self.createTLSOptions(self.tlsConfig) : null;
+    self.sanitizedURI = url.format(parsed);
+  }
+
+  createTLSOptions(config) {
+    let self = this;
+    let options = {
+      host: self.hostname,
+      port: self.port,
+      servername: ip.isV4Format(self.hostname) || ip.isV6Format(self.hostname) ? undefined : self.hostname
+    };
+
+    if(config.ca) {
+      let cas = Array.isArray(config.ca) ? config.ca : [config.ca];
+      options.ca = cas.map(ca => {
+        if(Buffer.isBuffer(ca) || ca.indexOf('-----BEGIN') != -1)
+          return ca;
+
+        return fs.readFileSync(ca);
       });
+    }
+
+    // A pinned certificate is checked against its fingerprint instead of a CA.
+    if(config.fingerprint) {
+      self.fingerprint = config.fingerprint.replace(/:/g, '').toLowerCase();
+      options.rejectUnauthorized = false;
+    } else {
+      self.fingerprint = null;
+      options.rejectUnauthorized = config.rejectUnauthorized === undefined ? true : config.rejectUnauthorized;
+    }
+
+    return options;
+  }
+
+  checkFingerprint(socket) {
+    let self = this;
+    if(!self.fingerprint)
+      return true;
+
+    let certificate = socket.getPeerCertificate();
+    if(!certificate || !certificate.raw)
+      return false;
+
+    let algorithm = self.fingerprint.length == 40 ? 'sha1' : 'sha256';
+    return crypto.createHash(algorithm).update(certificate.raw).digest('hex') == self.fingerprint;
+  }
+
+  createConnection(callback) {
+    let self = this;
+    if(!self.secure)
+      return net.createConnection(self.port, self.hostname, callback);
+
+    let socket = tls.connect(self.tlsOptions, function() {
+      if(!self.checkFingerprint(socket)) {
+        socket.destroy({ message: 'Certificate fingerprint mismatch.', type: 'tls' });
+        return;
+      }
+
+      callback();
     });
+
+    return socket;
   }
 
   reconnect() {
     let self = this;
+    if(self.closed)
+      return Promise.reject({ message: 'RTSP client closed.', type: 'aborted' });
+
     if(self.pendingReconnect)
       return self.pendingReconnect;
 
-    self.pendingReconnect = new Promise((resolve, reject) => {
+    if(self.socket) {
+      let oldSocket = self.socket;
+      self.socket = null;
+      self.connected = false;
+      oldSocket.destroy();
+    }
+
+    let pending = new Promise((resolve, reject) => {
       self.decoder = new rtsp.Decoder();
       self.encoder = new rtsp.Encoder();
 
-      self.socket = net.createConnection(self.port, self.hostname, function() {
+      let lastError = null;
+      let established = false;
+      let socket = self.createConnection(function() {
         self.pendingReconnect = null;
+        self.connected = true;
+        established = true;
         resolve();
       });
 
-      self.socket.on('error', (err) => {
-        self.pendingReconnect = null;
-        self.onError(err);
+      self.socket = socket;
+
+      socket.on('error', (err) => {
+        lastError = err;
+      });
+
+      // Errors are always followed by 'close'.
+      socket.on('close', () => {
+        if(!established) {
+          if(self.pendingReconnect === pending)
+            self.pendingReconnect = null;
+
+          reject(lastError || { message: 'Connection closed.' });
+          return;
+        }
+
+        if(self.socket !== socket)
+          return;
+
+        self.connected = false;
+        self.onError(lastError || { message: 'Connection closed.' });
+      });
+
+      self.demuxer = new InterleavedDemuxer();
+      socket.pipe(self.demuxer).pipe(self.decoder);
+      self.demuxer.on('interleaved', (channel, data) => {
+        self.emit('interleaved', channel, data);
       });
 
-      self.socket.pipe(self.decoder);
       self.collator = new Collator();
       self.encoder.pipe(self.collator);
-      self.collator.pipe(self.socket);
+      self.collator.pipe(socket);
 
       self.decoder.on('response', function(response) {
         self.onResponse(response);
       });
 
-      self.decoder.on('error', self.onError.bind(self));
+      self.decoder.on('request', function(request) {
+        self.onRequest(request);
+      });
+
+      self.decoder.on('error', (err) => {
+        lastError = err;
+        socket.destroy();
+      });
     });
 
-    return self.pendingReconnect;
+    self.pendingReconnect = pending;
+    return pending;
   }
 
+  // A failure isn't kept, so that a camera that couldn't be reached is asked again next time.
   sdp() {
     let self = this;
-    return self.sdpPromise;
+    if(self.sdpPromise)
+      return self.sdpPromise;
+
+    let promise = self.reconnect().then(() => {
+      return self.getOptions().then(result => {
+        return self.getSDP();
+      });
+    });
+
+    self.sdpPromise = promise;
+    promise.catch(() => {
+      if(self.sdpPromise === promise)
+        self.sdpPromise = null;
+    });
+
+    return promise;
   }
 
-  onError(err) {
+  abort(err) {
     let self = this;
+    err = err || { message: 'Request aborted.', type: 'aborted' };
+
     for(let key in self.requests) {
       let request = self.requests[key];
       if(!request)
@@ -118,16 +372,96 @@ class RTSPClient extends EventEmitter {
       request.reject(err);
       delete self.requests[key];
     }
+  }
 
-    self.reconnect();
+  close() {
+    let self = this;
+    self.closed = true;
+    self.tracks = [];
+    self.playing = false;
+    self.cancelRecovery();
+    self.closeSession();
+    self.abort({ message: 'RTSP client closed.', type: 'aborted' });
+
+    if(self.socket) {
+      let socket = self.socket;
+      self.socket = null;
+      self.connected = false;
+      socket.destroy();
+    }
+  }
+
+  onError(err) {
+    let self = this;
+    self.abort(err);
+
+    // Without a session there is nothing to restore; the next request reconnects.
+    if(self.tracks.length > 0)
+      self.recover(err);
+  }
+
+  recover(err) {
+    let self = this;
+    if(self.recovering)
+      return;
+
+    self.recovering = true;
+    self.closeSession();
+    self.emit('recovering', err);
+
+    let attempt = (retry) => {
+      self.reconnect().then(() => {
+        return self.getOptions();
+      }).then(() => {
+        return self.describe();
+      }).then(() => {
+        return self.reestablishSession();
+      }).then(() => {
+        self.recovering = false;
+        self.emit('recovered');
+      }).catch((err) => {
+        // Torn down while we were recovering.
+        if(!self.recovering)
+          return;
+
+        let fatal = err && err.type && err.type == 'authentication';
+        if(fatal || retry >= self.recoveryRetries) {
+          self.recovering = false;
+          self.tracks = [];
+          self.playing = false;
+          self.emit('error', { message: 'Could not recover RTSP session.', type: 'recovery', error: err });
+          return;
+        }
+
+        let delay = Math.min(self.recoveryMaxDelayMsecs, self.recoveryDelayMsecs * Math.pow(2, retry));
+        self.recoveryTimeout = setTimeout(() => {
+          self.recoveryTimeout = null;
+          attempt(retry + 1);
+        }, delay);
+      });
+    };
+
+    attempt(0);
+  }
+
+  cancelRecovery() {
+    let self = this;
+    self.recovering = false;
+    if(self.recoveryTimeout)
+      clearTimeout(self.recoveryTimeout);
+
+    self.recoveryTimeout = null;
   }
 
   onResponse(response) {
     let self = this;
     let cseq = parseInt(response.headers['cseq']);
     let request = self.requests[cseq];
-    if(!request)
+    if(!request) {
+      // Probably a request that already timed out; drain it so the decoder doesn't stall.
+      response.resume();
       return;
+    }
 
     request.chunks = [];
     response.on('data', function(data) {
@@ -141,14 +475,27 @@ class RTSPClient extends EventEmitter {
 
       delete self.requests[cseq];
 
-      if(response.statusCode == 401 && !requestOptions.headers['Authorization'] && response.headers['www-authenticate']) {
-        self.authenticator = self.authenticate(response.headers['www-authenticate']);
-        if(self.authenticator.err) {
-          reject({message: self.authenticator.err, type: 'authentication'});
+      if(response.statusCode == 401 && response.headers['www-authenticate']) {
+        let challenge = self.selectChallenge(response.headers['www-authenticate']);
+        let stale = /\bstale\s*=\s*"?true/i.test(challenge);
+        let attempts = requestOptions.authAttempts || 0;
+
+        // Retry once with the fresh challenge (the server may also have switched between Basic and
+        // Digest), and once more if the nonce we just used has gone stale.
+        if(challenge && attempts < (stale ? 2 : 1)) {
+          let authenticator = self.authenticate(challenge);
+          if(authenticator.err) {
+            reject({message: authenticator.err, type: 'authentication'});
+            return;
+          }
+
+          self.authenticator = authenticator;
+          requestOptions.authAttempts = attempts + 1;
+          resolve(self.makeRequest(requestOptions));
           return;
         }
 
-        resolve(self.makeRequest(requestOptions));
+        reject({message: 'Authentication failed.', type: 'authentication'});
         return;
       } else if((response.statusCode == 401 || response.statusCode == 403) && requestOptions.headers['Authorization']) {
         reject({message: 'Authentication failed.', type: 'authentication'});
@@ -158,10 +505,8 @@ class RTSPClient extends EventEmitter {
       resolve({response: response, data: Buffer.concat(request.chunks)});
     };
 
-    if(response.headers['session']) {
-      let parts = response.headers['session'].split(';');
-      self.newSession(parts[0]);
-    }
+    if(response.headers['session'] && request.options.method != 'TEARDOWN')
+      self.newSession(response.headers['session']);
 
     if(response.headers['content-length'] && parseInt(response.headers['content-length']) > 0)
       response.on('end', done);
@@ -169,9 +514,164 @@ class RTSPClient extends EventEmitter {
       done();
   }
 
+  // Picks the strongest of possibly several comma-joined challenges.
+  selectChallenge(header) {
+    if(Array.isArray(header))
+      header = header.join(', ');
+
+    let challenges = [];
+    let pattern = /(?:^|,)\s*(Basic|Digest)\s+/gi;
+    let match;
+    let last = null;
+    while((match = pattern.exec(header)) !== null) {
+      if(last)
+        challenges.push(header.slice(last.start, match.index).trim());
+
+      last = {start: match.index + match[0].indexOf(match[1])};
+    }
+
+    if(last)
+      challenges.push(header.slice(last.start).trim());
+
+    for(let challenge of challenges) {
+      if(/^Digest\s/i.test(challenge))
+        return challenge;
+    }
+
+    return challenges[0] || null;
+  }
+
+  requestTimeout(method) {
+    let self = this;
+    if(self.requestTimeoutsMsecs[method] !== undefined)
+      return self.requestTimeoutsMsecs[method];
+
+    return self.requestTimeoutMsecs;
+  }
+
+  onRequest(request) {
+    let self = this;
+    let chunks = [];
+    request.on('data', function(data) {
+      chunks.push(data);
+    });
+
+    let done = function() {
+      let body = Buffer.concat(chunks);
+      let headers = {};
+      let statusCode = 200;
+
+      switch(request.method) {
+        case 'OPTIONS':
+          headers['Public'] = 'OPTIONS, ANNOUNCE, GET_PARAMETER, SET_PARAMETER, REDIRECT';
+          break;
+        case 'GET_PARAMETER':
+        case 'SET_PARAMETER':
+          self.emit('parameter', request.method, request.headers, body);
+          break;
+        case 'ANNOUNCE':
+          break;
+        case 'REDIRECT':
+          if(!request.headers['location'])
+            statusCode = 400;
+          break;
+        default:
+          statusCode = 501;
+          break;
+      }
+
+      let written = self.respond(request, statusCode, headers);
+
+      if(statusCode != 200)
+        return;
+
+      if(request.method == 'ANNOUNCE') {
+        self.onAnnounce(body);
+      } else if(request.method == 'REDIRECT') {
+        // Redirecting drops the connection, so let the server have its answer first.
+        written.then(() => {
+          self.redirect(request.headers['location']);
+        });
+      }
+    };
+
+    if(request.headers['content-length'] && parseInt(request.headers['content-length']) > 0)
+      request.on('end', done);
+    else
+      done();
+  }
+
+  respond(request, statusCode, headers) {
+    let self = this;
+    let response = self.encoder.response();
+    response.statusCode = statusCode;
+    response.setHeader('CSeq', request.headers['cseq']);
+    response.setHeader('Server', 'homebridge-foscam-stream/0.3.7');
+
+    if(request.headers['session'])
+      response.setHeader('Session', request.headers['session']);
+
+    for(let name in headers)
+      response.setHeader(name, headers[name]);
+
+    // Resolves once the response has been written out to the socket.
+    let socket = self.socket;
+    let collator = self.collator;
+    return new Promise(resolve => {
+      response.once('finish', () => {
+        collator.flush(() => {
+          if(!socket || socket.destroyed)
+            return resolve();
+
+          socket.write(Buffer.alloc(0), () => resolve());
+        });
+      });
+
+      response.end();
+    });
+  }
+
+  onAnnounce(body) {
+    let self = this;
+    let promise;
+    if(body.length > 0)
+      promise = Promise.resolve(self.parseSDP(body));
+    else
+      promise = self.describe();
+
+    promise.then(sdp => {
+      self.emit('announce', sdp);
+    }).catch(err => {
+      self.emit('error', err);
+    });
+  }
+
+  redirect(location) {
+    let self = this;
+    let parsed = url.parse(url.resolve(self.sanitizedURI, location));
+    parsed.auth = null;
+
+    self.emit('redirect', url.format(parsed));
+
+    // The session is gone; redo the whole handshake against the new server.
+    self.setAddress(parsed);
+    self.abort({ message: 'Redirected.', type: 'redirect', location: self.sanitizedURI });
+    self.recover({ message: 'Redirected.', type: 'redirect', location: self.sanitizedURI });
+  }
+
   makeRequest(options) {
-    return new Promise((resolve, reject) => {
-      let self = this;
+    let self = this;
+    if(self.closed)
+      return Promise.reject({ message: 'RTSP client closed.', type: 'aborted' });
+
+    let connected = self.connected ? Promise.resolve() : self.reconnect();
+
+    return connected.then(() => new Promise((resolve, reject) => {
+      if(self.closed) {
+        reject({ message: 'RTSP client closed.', type: 'aborted' });
+        return;
+      }
+
       let cseq = self.cseq++;
 
       if(!options.headers)
@@ -186,89 +686,343 @@ class RTSPClient extends EventEmitter {
       if(self.session && !options.headers['Session'])
         options.headers['Session'] = self.session;
 
+      // ONVIF requires the back-channel option on every request that sets up or starts the session.
+      if(self.backchannelSupported && ['DESCRIBE', 'SETUP', 'PLAY'].indexOf(options.method) != -1)
+        options.headers['Require'] = ONVIF_BACKCHANNEL;
+
+      let timeout = options.timeout === undefined ? self.requestTimeout(options.method) : options.timeout;
+      let timer = null;
+      let settle = (callback) => {
+        return (value) => {
+          if(timer)
+            clearTimeout(timer);
+
+          timer = null;
+          callback(value);
+        };
+      };
+
+      if(timeout > 0) {
+        timer = setTimeout(() => {
+          timer = null;
+          if(!self.requests[cseq])
+            return;
+
+          delete self.requests[cseq];
+          reject({ message: 'Request timed out.', type: 'timeout', method: options.method, uri: options.uri, timeout: timeout });
+        }, timeout);
+      }
+
       let request = self.encoder.request(options);
-      self.requests[cseq] = {options: options, resolve: resolve, reject: reject};
+      self.requests[cseq] = {options: options, resolve: settle(resolve), reject: settle(reject)};
       request.end();
+    }));
+  }
+
+  getOptions() {
+    let self = this;
+    return self.makeRequest({method: 'OPTIONS', uri: self.sanitizedURI}).then(result => {
+      let methods = result.response.headers['public'];
+      if(methods)
+        self.supportedMethods = methods.split(',').map(method => method.trim().toUpperCase());
+
+      return result;
     });
   }
 
   codecForPayload(payload) {
-    switch(payload) {
-      case 0:
-        return 'PCMU';
-      case 8:
-        return 'PCMA';
-      default:
-        return 'UNKNOWN';
+    let info = STATIC_PAYLOADS[payload];
+    return info ? info[0] : 'UNKNOWN';
+  }
+
+  parseFmtp(config) {
+    let params = {};
+    for(let param of config.split(';')) {
+      let separator = param.indexOf('=');
+      if(separator == -1) {
+        if(param.trim())
+          params[param.trim().toLowerCase()] = true;
+        continue;
+      }
+
+      params[param.slice(0, separator).trim().toLowerCase()] = param.slice(separator + 1).trim();
     }
+
+    return params;
   }
 
-  getSDP() {
+  parseMedium(medium, index) {
+    let self = this;
+    let uri;
+    if(medium.control) {
+      uri = url.resolve(self.sanitizedURI + '/', medium.control);
+    } else {
+      uri = self.sanitizedURI;
+    }
+
+    let tracks = [];
+    for(let value of medium.payloads.toString().split(' ')) {
+      let payload = parseInt(value);
+      if(isNaN(payload))
+        continue;
+
+      let info = STATIC_PAYLOADS[payload] || ['UNKNOWN', null, 1];
+      let codec = info[0];
+      let clockRate = info[1];
+      let channels = info[2];
+
+      for(let rtp of medium.rtp || []) {
+        if(rtp.payload == payload && rtp.codec) {
+          codec = rtp.codec.toUpperCase();
+          clockRate = rtp.rate || clockRate;
+          channels = rtp.encoding ? parseInt(rtp.encoding) : channels;
+          break;
+        }
+      }
+
+      let fmtp = {};
+      for(let entry of medium.fmtp || []) {
+        if(entry.payload == payload)
+          fmtp = self.parseFmtp(entry.config);
+      }
+
+      tracks.push({
+        index: index,
+        type: medium.type,
+        payload: payload,
+        codec: codec,
+        clockRate: clockRate,
+        channels: channels,
+        fmtp: fmtp,
+        direction: medium.direction || 'sendrecv',
+        uri: uri
+      });
+    }
+
+    return tracks;
+  }
+
+  // Returns the first track of the given type whose codec comes earliest in preferences.
+  selectTrack(type, preferences) {
     let self = this;
+    let candidates = self.mediaTracks.filter(track => track.type == type && !track.backchannel && track.direction != 'inactive');
+    if(!preferences)
+      return candidates[0] || null;
+
+    for(let codec of preferences) {
+      for(let track of candidates) {
+        if(track.codec == codec.toUpperCase())
+          return track;
+      }
+    }
+
+    return null;
+  }
+
+  selectBackchannelTrack(preferences) {
+    let self = this;
+    let candidates = self.mediaTracks.filter(track => track.backchannel);
+    for(let codec of preferences) {
+      for(let track of candidates) {
+        if(track.codec == codec)
+          return track;
+      }
+    }
+
+    return null;
+  }
+
+  h264Profile(track) {
+    let profileLevelId = track && track.fmtp['profile-level-id'];
+    if(!profileLevelId || profileLevelId.length != 6)
+      return null;
+
+    let profileIdc = parseInt(profileLevelId.slice(0, 2), 16);
+    let levelIdc = parseInt(profileLevelId.slice(4, 6), 16);
+
+    let profile;
+    if(profileIdc == 66)
+      profile = 'baseline';
+    else if(profileIdc == 77)
+      profile = 'main';
+    else if(profileIdc >= 100)
+      profile = 'high';
+    else
+      return null;
+
+    return {
+      profile: profile,
+      level: levelIdc / 10
+    };
+  }
+
+  describe() {
+    let self = this;
+    let headers = {
+      'Accept': 'application/sdp'
+    };
+
+    let requested = self.backchannel && self.backchannelSupported !== false;
+    if(requested)
+      headers['Require'] = ONVIF_BACKCHANNEL;
+
     return self.makeRequest({
       method: 'DESCRIBE',
       uri: self.sanitizedURI,
-      headers: {
-        'Accept': 'application/sdp'
-      }
+      headers: headers
     }).then(result => {
-      let response = result.response;
-      let data = result.data;
+      let statusCode = result.response.statusCode;
+      if(requested && (statusCode == 551 || statusCode >= 400)) {
+        self.backchannelSupported = false;
+        if(self.backchannel === true)
+          return Promise.reject({ message: 'Camera does not support the audio back-channel.', type: 'backchannel', statusCode: statusCode });
 
-      let sdp = SDPTransform.parse(data.toString('utf8'));
-      for(let medium of sdp.media) {
-        let payloads = medium.payloads.toString().split(' ');
-        let payload = parseInt(payloads[0]);
-
-        let codec;
-        if(payload >= 96) {
-          for(let rtp of medium.rtp) {
-            if(rtp.payload == payload && rtp.codec) {
-              codec = rtp.codec;
-              break;
-            }
-          }
-        } else {
-          codec = self.codecForPayload(payload);
-        }
+        return self.describe();
+      }
 
-        let uri;
-        if(medium.control) {
-          uri = url.resolve(self.sanitizedURI + '/', medium.control);
-        } else {
-          uri = self.sanitizedURI;
-        }
+      let sdp = self.parseSDP(result.data, requested);
+      if(requested)
+        self.backchannelSupported = !!self.backchannelTrack;
 
-        let descriptor = {
-          payload: payload,
-          codec: codec,
-          uri: uri
-        };
+      return sdp;
+    });
+  }
 
-        if(medium.type == 'video' && !self.video) {
-          self.video = descriptor;
-        }
+  parseSDP(data, backchannel) {
+    let self = this;
+    let sdp = SDPTransform.parse(data.toString('utf8'));
+    let tracks = [];
+    sdp.media.forEach((medium, index) => {
+      tracks = tracks.concat(self.parseMedium(medium, index));
+    });
+
+    // With the ONVIF back-channel, directions are from our point of view: sendonly is the back-channel.
+    if(backchannel === undefined)
+      backchannel = !!self.backchannelSupported;
 
-        if(medium.type == 'audio' && !self.audio) {
-          self.audio = descriptor;
+    for(let track of tracks)
+      track.backchannel = backchannel && track.type == 'audio' && track.direction == 'sendonly';
+
+    self.mediaTracks = tracks;
+    self.video = self.selectTrack('video');
+    self.audio = self.selectTrack('audio');
+    self.backchannelTrack = self.selectBackchannelTrack(['PCMU', 'PCMA']);
+
+    // Control URIs may have changed (e.g. after a redirect); keep set up tracks pointing at the right media.
+    for(let track of self.tracks) {
+      for(let mediaTrack of tracks) {
+        if(mediaTrack.index === track.index) {
+          track.uri = mediaTrack.uri;
+          break;
         }
       }
+    }
 
-      return sdp;
-    }).catch((err) => {
-      if(err && err.type && err.type == 'authentication')
-        return Promise.reject(err);
-
-      // Try again after reconnect if it isn't authentication related.
-      return self.reconnect().then(() => {
-        return self.makeRequest({method: 'OPTIONS', uri: self.sanitizedURI}).then(result => {
-          return self.getSDP();
+    return sdp;
+  }
+
+  getSDP() {
+    let self = this;
+
+    let attempt = (retry) => {
+      let request;
+      if(retry == 0) {
+        request = self.describe();
+      } else {
+        // Try again after reconnecting, backing off the same way recover() does.
+        let delay = Math.min(self.recoveryMaxDelayMsecs, self.recoveryDelayMsecs * Math.pow(2, retry - 1));
+        request = new Promise(resolve => setTimeout(resolve, delay)).then(() => {
+          return self.reconnect();
+        }).then(() => {
+          return self.getOptions();
+        }).then(() => {
+          return self.describe();
         });
+      }
+
+      return request.catch((err) => {
+        // Reconnecting won't help with credentials, a camera that doesn't answer, or a closed client.
+        let fatal = err && err.type && (err.type == 'authentication' || err.type == 'timeout' || err.type == 'aborted');
+        if(fatal || retry >= self.recoveryRetries)
+          return Promise.reject(err);
+
+        return attempt(retry + 1);
       });
-    });
+    };
+
+    return attempt(0);
+  }
+
+  parseTransport(transport) {
+    let params = {};
+    for(let value of transport.split(';')) {
+      let parts = value.split('=', 2);
+      params[parts[0].trim()] = parts.length == 2 ? parts[1].trim() : true;
+    }
+
+    return params;
   }
 
   setup(uri, rtpPort, rtcpPort) {
+    let self = this;
+    let promise;
+
+    let backchannel = !!(self.backchannelTrack && self.backchannelTrack.uri == uri);
+
+    if(self.transport == 'tcp') {
+      promise = self.setupInterleaved(uri);
+    } else if(self.transport == 'multicast' && !backchannel) {
+      promise = self.setupMulticast(uri).catch(err => {
+        if(err && err.type && err.type == 'authentication')
+          return Promise.reject(err);
+
+        return self.setupUDP(uri, rtpPort, rtcpPort);
+      });
+    } else if(self.transport != 'auto') {
+      promise = self.setupUDP(uri, rtpPort, rtcpPort);
+    } else {
+      promise = self.setupUDP(uri, rtpPort, rtcpPort).catch(err => {
+        if(err && err.type && err.type == 'authentication')
+          return Promise.reject(err);
+
+        // Stay on TCP from now on; UDP is most likely being blocked.
+        self.transport = 'tcp';
+        return self.setupInterleaved(uri);
+      });
+    }
+
+    return promise.then(settings => {
+      let index;
+      for(let mediaTrack of self.mediaTracks) {
+        if(mediaTrack.uri == uri) {
+          index = mediaTrack.index;
+          break;
+        }
+      }
+
+      self.tracks.push({uri: uri, index: index, backchannel: backchannel, rtpPort: rtpPort, rtcpPort: rtcpPort, settings: settings});
+      return settings;
+    });
+  }
+
+  setupTrack(track) {
+    let self = this;
+    let promise;
+
+    if(track.settings.interleaved)
+      promise = self.setupInterleaved(track.uri, track.settings.rtpChannel);
+    else if(track.settings.multicast)
+      promise = self.setupMulticast(track.uri);
+    else
+      promise = self.setupUDP(track.uri, track.rtpPort, track.rtcpPort);
+
+    return promise.then(settings => {
+      track.settings = settings;
+      return settings;
+    });
+  }
+
+  setupUDP(uri, rtpPort, rtcpPort) {
     let self = this;
     return self.makeRequest({
       method: 'SETUP',
@@ -319,7 +1073,8 @@ class RTSPClient extends EventEmitter {
           return new Promise((resolve, reject) => {
             dns.resolve(source, function(err, addresses) {
               if(err || addresses.length == 0) {
-                return Promise.reject({ message: 'Could not resolve source.', source: source });
+                reject({ message: 'Could not resolve source.', source: source });
+                return;
               }
 
               resolve({
@@ -336,11 +1091,109 @@ class RTSPClient extends EventEmitter {
     });
   }
 
+  setupInterleaved(uri, channel) {
+    let self = this;
+    if(channel === undefined)
+      channel = self.nextChannel;
+
+    self.nextChannel = Math.max(self.nextChannel, channel + 2);
+
+    return self.makeRequest({
+      method: 'SETUP',
+      uri: uri,
+      headers: {
+        'Transport': 'RTP/AVP/TCP;unicast;interleaved=' + channel.toString() + '-' + (channel + 1).toString()
+      }
+    }).then(result => {
+      let response = result.response;
+
+      let transport = response.headers['transport'];
+      if(!transport)
+        return Promise.reject({ message: 'No transport.', response: response });
+
+      let params = self.parseTransport(transport);
+      if(!params['interleaved'] || params['interleaved'] === true)
+        return Promise.reject({ message: 'Could not parse transport.', transport: transport });
+
+      let channels = params['interleaved'].split('-', 2);
+      let rtpChannel = parseInt(channels[0]);
+      let rtcpChannel = channels.length == 2 ? parseInt(channels[1]) : rtpChannel + 1;
+
+      if(isNaN(rtpChannel) || isNaN(rtcpChannel))
+        return Promise.reject({ message: 'Could not parse transport.', transport: transport });
+
+      self.nextChannel = Math.max(self.nextChannel, rtpChannel + 2, rtcpChannel + 1);
+
+      return {
+        interleaved: true,
+        rtpChannel: rtpChannel,
+        rtcpChannel: rtcpChannel
+      };
+    });
+  }
+
+  setupMulticast(uri) {
+    let self = this;
+    return self.makeRequest({
+      method: 'SETUP',
+      uri: uri,
+      headers: {
+        'Transport': 'RTP/AVP;multicast'
+      }
+    }).then(result => {
+      let response = result.response;
+
+      let transport = response.headers['transport'];
+      if(!transport)
+        return Promise.reject({ message: 'No transport.', response: response });
+
+      let params = self.parseTransport(transport);
+      if(!params['multicast'] || !params['destination'] || !params['port'] || params['port'] === true)
+        return Promise.reject({ message: 'Could not parse transport.', transport: transport });
+
+      let destination = params['destination'];
+      if(!ip.isV4Format(destination) && !ip.isV6Format(destination))
+        return Promise.reject({ message: 'Multicast destination is not an address.', transport: transport });
+
+      let ports = params['port'].split('-', 2);
+      let rtpPort = parseInt(ports[0]);
+      let rtcpPort = ports.length == 2 ? parseInt(ports[1]) : rtpPort + 1;
+      let ttl = params['ttl'] ? parseInt(params['ttl']) : 1;
+
+      if(isNaN(rtpPort) || isNaN(rtcpPort))
+        return Promise.reject({ message: 'Could not parse transport.', transport: transport });
+
+      return {
+        multicast: true,
+        source: (params['source'] && params['source'] !== true) ? params['source'] : self.hostname,
+        destination: destination,
+        rtpPort: rtpPort,
+        rtcpPort: rtcpPort,
+        ttl: ttl
+      };
+    });
+  }
+
+  sendInterleaved(channel, data) {
+    let self = this;
+    if(!self.socket)
+      return;
+
+    let header = Buffer.alloc(4);
+    header.writeUInt8(0x24, 0);
+    header.writeUInt8(channel, 1);
+    header.writeUInt16BE(data.length, 2);
+    self.socket.write(Buffer.concat([header, data]));
+  }
+
   play() {
     let self = this;
     return self.makeRequest({
       method: 'PLAY',
       uri: self.sanitizedURI
+    }).then(result => {
+      self.playing = true;
+      return result;
     });
   }
 
@@ -349,6 +1202,9 @@ class RTSPClient extends EventEmitter {
     return self.makeRequest({
       method: 'PAUSE',
       uri: self.sanitizedURI
+    }).then(result => {
+      self.playing = false;
+      return result;
     });
   }
 
@@ -362,27 +1218,123 @@ class RTSPClient extends EventEmitter {
       }
     });
 
+    self.tracks = [];
+    self.playing = false;
+    self.cancelRecovery();
     self.closeSession();
     return promise;
   }
 
+  keepAliveMethod() {
+    let self = this;
+    if(self.supportedMethods && self.supportedMethods.indexOf('GET_PARAMETER') != -1)
+      return 'GET_PARAMETER';
+
+    return 'OPTIONS';
+  }
+
   ping() {
     let self = this;
+    let method = self.keepAliveMethod();
     return self.makeRequest({
-      method: 'GET_PARAMETER',
+      method: method,
       uri: self.sanitizedURI
+    }).then(result => {
+      let statusCode = result.response.statusCode;
+      if(statusCode == 454)
+        return self.reestablishSession();
+
+      if((statusCode == 405 || statusCode == 501) && method == 'GET_PARAMETER') {
+        self.supportedMethods.splice(self.supportedMethods.indexOf('GET_PARAMETER'), 1);
+        return result;
+      }
+
+      if(statusCode >= 400)
+        return Promise.reject({ message: 'Keep-alive failed.', statusCode: statusCode, method: method });
+
+      return result;
+    });
+  }
+
+  // Ends the current session, ignoring any error, and sets the same tracks up in a new one.
+  restartSession() {
+    let self = this;
+    if(!self.session)
+      return self.reestablishSession();
+
+    return self.makeRequest({
+      method: 'TEARDOWN',
+      uri: self.sanitizedURI,
+      headers: {
+        'Session': self.session
+      }
+    }).catch(() => {}).then(() => {
+      return self.reestablishSession();
     });
   }
 
-  newSession(session) {
+  reestablishSession() {
     let self = this;
+    if(self.pendingReestablish)
+      return self.pendingReestablish;
+
+    let tracks = self.tracks;
+    let playing = self.playing;
+
+    self.closeSession();
+
+    let promise = Promise.resolve();
+    for(let track of tracks) {
+      promise = promise.then(() => {
+        return self.setupTrack(track);
+      });
+    }
+
+    self.pendingReestablish = promise.then(() => {
+      if(playing)
+        return self.play();
+    }).then(() => {
+      self.pendingReestablish = null;
+    }, (err) => {
+      self.pendingReestablish = null;
+      return Promise.reject(err);
+    });
+
+    return self.pendingReestablish;
+  }
+
+  newSession(header) {
+    let self = this;
+    let parts = header.split(';');
+    let session = parts[0].trim();
+
+    let timeout = null;
+    for(let part of parts.slice(1)) {
+      let param = part.split('=', 2);
+      if(param.length == 2 && param[0].trim().toLowerCase() == 'timeout' && parseInt(param[1]) > 0)
+        timeout = parseInt(param[1]);
+    }
+
+    // Servers usually only send the timeout with SETUP; RFC 2326 12.37 defaults it to 60 seconds.
+    if(timeout === null)
+      timeout = (session == self.session && self.sessionTimeout) ? self.sessionTimeout : 60;
+
+    if(session == self.session && timeout == self.sessionTimeout && self.keepAliveInterval)
+      return;
+
     self.session = session;
+    self.sessionTimeout = timeout;
+
+    // Ping at half the timeout so that a single lost keep-alive does not expire the session.
+    self.keepAliveIntervalMsecs = Math.max(1000, timeout * 1000 / 2);
+
     if(self.keepAliveInterval)
       clearInterval(self.keepAliveInterval);
 
     self.keepAliveInterval = setInterval(function() {
       self.ping().catch((err) => {
-        self.emit(err);
+        if(!self.recovering)
+          self.emit('error', err);
       });
     }, self.keepAliveIntervalMsecs);
   }
@@ -390,8 +1342,12 @@ class RTSPClient extends EventEmitter {
   closeSession() {
     let self = this;
     self.session = null;
+    self.sessionTimeout = null;
+    self.nextChannel = 0;
     if(self.keepAliveInterval)
       clearInterval(self.keepAliveInterval);
+
+    self.keepAliveInterval = null;
   }
 
 }
@@ -0,0 +1,546 @@
+"use strict";
+
+const EventEmitter = require('events').EventEmitter;
+const dgram = require('dgram');
+const ip = require('ip');
+const AdaptiveBitrateController = require('./AdaptiveBitrateController');
+const RTPAACTranscoder = require('./RTPAACTranscoder');
+const RTPBackchannelSender = require('./RTPBackchannelSender');
+const RTPG711Transcoder = require('./RTPG711Transcoder');
+const RTPPortPool = require('./RTPPortPool');
+const RTSPClient = require('./RTSPClient');
+
+// Incoming audio codecs we can transcode, most preferred first.
+const AUDIO_TRANSCODERS = [
+    ['MPEG4-GENERIC', RTPAACTranscoder],
+    ['MP4A-LATM', RTPAACTranscoder],
+    ['PCMU', RTPG711Transcoder],
+    ['PCMA', RTPG711Transcoder]
+];
+
+// Tracks that aren't interleaved get channel numbers above the 0-255 an RTSP
+// connection can use, so that they can never be confused with real ones.
+const UDP_CHANNEL_BASE = 256;
+
+// Shares one RTSP session on a camera stream between every HomeKit viewer of it.
+// The video and audio tracks are set up when the first viewer acquires the
+// session and torn down when the last one releases it. Whatever transport the
+// camera ends up using, its RTP and RTCP are emitted as 'interleaved' events and
+// RTCP for it is accepted through sendInterleaved(), so each viewer's relays and
+// transcoders can use the broker as if it were the RTSP connection itself.
+class RTSPSessionBroker extends EventEmitter {
+    constructor(uri, options, log) {
+        super();
+        let self = this;
+
+        options = options || {};
+
+        self.uri = uri;
+        self.log = log || function() {};
+        self.rtspOptions = options['rtsp'] || {};
+        self.portPool = options['port_pool'] || RTPPortPool.shared();
+
+        self.rtspClient = new RTSPClient(uri, self.rtspOptions);
+
+        // Every viewer and its video relay listen for packets.
+        self.setMaxListeners(0);
+
+        self.videoTrack = null;
+        self.audioTrack = null;
+        self.transcoderClass = null;
+
+        // Where the camera's tracks arrive, once set up.
+        self.video = null;
+        self.audio = null;
+        self.backchannelSender = null;
+
+        self.viewers = new Set();
+        self._setupPromise = null;
+        self._playPromise = null;
+        self._restartPromise = null;
+
+        // Setups and teardowns run one at a time, in the order they were asked for.
+        self._queue = Promise.resolve();
+
+        // setOptions(width, height, fps, bitRate) changes the camera's stream settings,
+        // which all of its viewers share, as the latest video request asked for them.
+        self.setOptions = options['set_options'] || null;
+        self.videoRequest = null;
+        self.bitrateController = null;
+        if(options['adaptive_bitrate'] && self.setOptions)
+            self.bitrateController = self._createBitrateController(options['adaptive_bitrate']);
+
+        self.rtspClient.on('error', (err) => {
+            self.log('RTSPSessionBroker: error:', err);
+            self.emit('error', err);
+        });
+
+        self.rtspClient.on('recovering', (err) => {
+            self.log('RTSPSessionBroker: RTSP connection lost, recovering:', err);
+        });
+
+        self.rtspClient.on('recovered', () => {
+            self.log('RTSPSessionBroker: RTSP session recovered.');
+            self.recovered();
+            self.emit('recovered');
+        });
+
+        self.rtspClient.on('interleaved', (channel, data) => {
+            self.emit('interleaved', channel, data);
+        });
+
+        self.rtspClient.on('redirect', (location) => {
+            self.log('RTSPSessionBroker: redirected to', location);
+        });
+
+        self.rtspClient.on('announce', () => {
+            self.log('RTSPSessionBroker: camera announced a new sdp.');
+            self.selectTracks();
+        });
+
+        self._readyPromise = null;
+        self.ready().catch(() => {});
+    }
+
+    selectTracks() {
+        let self = this;
+        self.videoTrack = self.rtspClient.selectTrack('video', ['H264']) || self.rtspClient.video;
+        self.audioTrack = null;
+        self.transcoderClass = null;
+
+        // Some codecs, like AAC, are only supported in certain configurations.
+        for(let entry of AUDIO_TRANSCODERS) {
+            let track = self.rtspClient.selectTrack('audio', [entry[0]]);
+            if(track && (!entry[1].supports || entry[1].supports(track))) {
+                self.audioTrack = track;
+                self.transcoderClass = entry[1];
+                break;
+            }
+        }
+
+        if(!self.audioTrack)
+            self.log('RTSPSessionBroker: no supported audio codec offered:', self.rtspClient.mediaTracks.filter(track => track.type == 'audio').map(track => track.codec));
+    }
+
+    // Resolves once the camera's SDP is known. A failure isn't kept, so that a camera
+    // that was offline is DESCRIBEd again by the next acquire().
+    ready() {
+        let self = this;
+        if(self._readyPromise)
+            return self._readyPromise;
+
+        let promise = self.rtspClient.sdp().then(() => {
+            self.log('RTSPSessionBroker: RTSPClient got sdp.');
+            self.selectTracks();
+        }).catch((err) => {
+            self.log('RTSPSessionBroker: could not get sdp:', err);
+            if(self._readyPromise === promise)
+                self._readyPromise = null;
+
+            return Promise.reject(err);
+        });
+
+        self._readyPromise = promise;
+        return promise;
+    }
+
+    videoProfile() {
+        let self = this;
+        return self.rtspClient.h264Profile(self.videoTrack);
+    }
+
+    useBackchannel() {
+        let self = this;
+        return !!self.rtspOptions['backchannel'] && !!self.rtspClient.backchannelTrack;
+    }
+
+    // Adds a viewer, setting the session up if it is the first. Resolves once the
+    // video and audio tracks are set up.
+    acquire(viewer) {
+        let self = this;
+        self.viewers.add(viewer);
+
+        if(!self._setupPromise) {
+            let promise = self._queue.then(() => {
+                return self.setup();
+            });
+
+            self._setupPromise = promise;
+            self._queue = promise.catch(() => {
+                if(self._setupPromise === promise)
+                    self._setupPromise = null;
+            });
+        }
+
+        return self._setupPromise;
+    }
+
+    // Removes a viewer, tearing the session down if it was the last.
+    release(viewer) {
+        let self = this;
+        if(self.bitrateController)
+            self.bitrateController.remove(viewer);
+
+        if(!self.viewers.delete(viewer) || self.viewers.size > 0)
+            return;
+
+        self.videoRequest = null;
+        self._setupPromise = null;
+        self._playPromise = null;
+        self._queue = self._queue.then(() => {
+            return self.teardown();
+        });
+    }
+
+    // Called with each video request a viewer has just applied to the camera. The
+    // latest one wins, and is where adaptive bit rate starts again from.
+    videoRequested(video) {
+        let self = this;
+        self.videoRequest = video;
+        if(self.bitrateController)
+            self.bitrateController.configure(video['fps'], video['max_bit_rate'] * 1000);
+    }
+
+    // Takes an RTCP report block from one of the viewers.
+    report(viewer, report) {
+        let self = this;
+        if(self.bitrateController && self.viewers.has(viewer))
+            self.bitrateController.report(viewer, report);
+    }
+
+    _createBitrateController(options) {
+        let self = this;
+        let controller = new AdaptiveBitrateController((fps, bitRate) => {
+            let video = self.videoRequest;
+            if(!video)
+                return Promise.resolve();
+
+            return self.setOptions(video['width'], video['height'], fps, bitRate).catch(err => {
+                self.log('RTSPSessionBroker: could not change video bit rate:', err);
+            });
+        }, options);
+
+        controller.on('change', change => {
+            self.log('RTSPSessionBroker: ' + change['lossy_viewers'].toString() + ' of ' + change['viewers'].toString() + ' viewers losing packets, video ' +
+                Math.round(change['previous_bit_rate'] / 1000).toString() + ' kbps at ' + change['previous_fps'].toString() + ' fps -> ' +
+                Math.round(change['bit_rate'] / 1000).toString() + ' kbps at ' + change['fps'].toString() + ' fps.');
+        });
+
+        return controller;
+    }
+
+    // Playing is shared too; only the first viewer to start actually sends PLAY.
+    play() {
+        let self = this;
+        if(!self._playPromise) {
+            let promise = self.rtspClient.play().catch(err => {
+                if(self._playPromise === promise)
+                    self._playPromise = null;
+
+                return Promise.reject(err);
+            });
+
+            self._playPromise = promise;
+        }
+
+        return self._playPromise;
+    }
+
+    // Nudges a session the camera has stopped sending on. 'play' just sends PLAY
+    // again; 'setup' sets every track up again in a new RTSP session first.
+    restart(action) {
+        let self = this;
+        if(self._restartPromise)
+            return self._restartPromise;
+
+        self.log('RTSPSessionBroker: restarting ' + self.uri.replace(/\/\/[^@\/]*@/, '//') + ' with ' + (action == 'setup' ? 'SETUP' : 'PLAY') + '.');
+
+        // Foscam firmware only allows a few sessions at once, so the stalled one is torn down first.
+        let promise = action == 'setup' ? self.rtspClient.restartSession() : self.rtspClient.play();
+        let restart = promise.then(() => {
+            if(action == 'setup') {
+                self.recovered();
+                self.emit('recovered');
+            }
+        });
+
+        self._restartPromise = restart;
+        restart.catch(() => {}).then(() => {
+            if(self._restartPromise === restart)
+                self._restartPromise = null;
+        });
+
+        return restart;
+    }
+
+    // 'video' or 'audio' if the channel carries that track's RTP.
+    trackForChannel(channel) {
+        let self = this;
+        if(self.video && channel === self.video.rtpChannel)
+            return 'video';
+
+        if(self.audio && channel === self.audio.rtpChannel)
+            return 'audio';
+
+        return null;
+    }
+
+    setup() {
+        let self = this;
+        return self.ready().then(() => {
+            if(!self.videoTrack)
+                return Promise.reject({message: 'Camera does not offer a video track.'});
+
+            if(!self.audioTrack)
+                return Promise.reject({message: 'Cannot stream, camera audio is not in a supported codec.'});
+
+            return self.setupTrack(self.videoTrack, UDP_CHANNEL_BASE);
+        }).then(video => {
+            self.video = video;
+            return self.setupTrack(self.audioTrack, UDP_CHANNEL_BASE + 2);
+        }).then(audio => {
+            self.audio = audio;
+            self.log('Video: ' + self.videoTrack.uri + ': ' + self.describe(self.video));
+            self.log('Audio: ' + self.audioTrack.uri + ': ' + self.describe(self.audio));
+            return self.setupBackchannel();
+        }).catch(err => {
+            self.teardown();
+            return Promise.reject(err);
+        });
+    }
+
+    setupTrack(track, channel) {
+        let self = this;
+        let type = ip.isV6Format(self.rtspClient.hostname) ? 'udp6' : 'udp4';
+        let transport = {
+            'uri': track.uri,
+            'settings': null,
+            'rtpChannel': channel,
+            'rtcpChannel': channel + 1,
+            'rtpSocket': null,
+            'rtcpSocket': null,
+            'pooled': true
+        };
+
+        return self.portPool.createSocketPair(type).then(sockets => {
+            transport.rtpSocket = sockets[0];
+            transport.rtcpSocket = sockets[1];
+            return self.rtspClient.setup(track.uri, sockets[0].address().port, sockets[1].address().port);
+        }).then(settings => {
+            transport.settings = settings;
+
+            if(settings.interleaved) {
+                self.releaseSockets(transport);
+                transport.rtpChannel = settings.rtpChannel;
+                transport.rtcpChannel = settings.rtcpChannel;
+                return transport;
+            }
+
+            if(!settings.multicast) {
+                self.bindTransport(transport);
+                return transport;
+            }
+
+            let groupType = ip.isV4Format(settings.destination) ? 'udp4' : 'udp6';
+            let rtp = RTSPSessionBroker.joinGroup(groupType, settings.destination, settings.rtpPort, settings.ttl || 1);
+            let rtcp = RTSPSessionBroker.joinGroup(groupType, settings.destination, settings.rtcpPort, settings.ttl || 1);
+            return Promise.all([rtp, rtcp]).catch(err => {
+                // Close whichever group socket did get joined.
+                rtp.then(socket => socket.close(), () => {});
+                rtcp.then(socket => socket.close(), () => {});
+                return Promise.reject(err);
+            }).then(sockets => {
+                self.releaseSockets(transport);
+                transport.rtpSocket = sockets[0];
+                transport.rtcpSocket = sockets[1];
+                transport.pooled = false;
+                self.bindTransport(transport);
+                return transport;
+            });
+        }).catch(err => {
+            self.releaseSockets(transport);
+            return Promise.reject(err);
+        });
+    }
+
+    // Returns a track's sockets to the pool, or just closes them if they were
+    // joined to a multicast group rather than taken from it.
+    releaseSockets(transport) {
+        let self = this;
+        for(let socket of [transport.rtpSocket, transport.rtcpSocket]) {
+            if(!socket)
+                continue;
+
+            if(transport.pooled) {
+                self.portPool.release(socket);
+                continue;
+            }
+
+            try {
+                socket.close();
+            } catch(err) {
+                // Already closed.
+            }
+        }
+
+        transport.rtpSocket = null;
+        transport.rtcpSocket = null;
+    }
+
+    bindTransport(transport) {
+        let self = this;
+        transport.rtpSocket.on('message', function(msg, rinfo) {
+            self.emit('interleaved', transport.rtpChannel, msg);
+        });
+
+        transport.rtcpSocket.on('message', function(msg, rinfo) {
+            self.emit('interleaved', transport.rtcpChannel, msg);
+        });
+    }
+
+    setupBackchannel() {
+        let self = this;
+        if(!self.useBackchannel())
+            return Promise.resolve();
+
+        let track = self.rtspClient.backchannelTrack;
+        let sender = new RTPBackchannelSender({
+            'codec': track.codec,
+            'payload_type': track.payload,
+            'clock_rate': track.clockRate,
+            'port_pool': self.portPool
+        });
+
+        return sender.start().then(() => {
+            return self.rtspClient.setup(track.uri, sender.localRTPPort(), sender.localRTCPPort());
+        }).then(settings => {
+            sender.setTransport(settings, self.rtspClient);
+            self.backchannelSender = sender;
+            self.log('Talkback: ' + track.uri + ' (' + track.codec + ')');
+        }).catch(err => {
+            // Talkback is optional; don't fail the whole stream over it.
+            self.log('RTSPSessionBroker: could not set up audio back-channel:', err);
+            sender.stop();
+        });
+    }
+
+    // The camera may have picked new ports or a new source when the session was set up again.
+    recovered() {
+        let self = this;
+        for(let track of self.rtspClient.tracks) {
+            if(track.backchannel) {
+                if(self.backchannelSender)
+                    self.backchannelSender.setTransport(track.settings, self.rtspClient);
+
+                continue;
+            }
+
+            for(let transport of [self.video, self.audio]) {
+                if(transport && transport.uri == track.uri)
+                    transport.settings = track.settings;
+            }
+        }
+    }
+
+    // Sends RTCP (or, for completeness, RTP) back to the camera on one of its tracks' channels.
+    sendInterleaved(channel, data) {
+        let self = this;
+        for(let transport of [self.video, self.audio]) {
+            if(!transport || (channel !== transport.rtpChannel && channel !== transport.rtcpChannel))
+                continue;
+
+            let settings = transport.settings;
+            if(settings.interleaved) {
+                self.rtspClient.sendInterleaved(channel, data);
+            } else {
+                let rtcp = channel === transport.rtcpChannel;
+                let socket = rtcp ? transport.rtcpSocket : transport.rtpSocket;
+                if(socket)
+                    socket.send(data, rtcp ? settings.rtcpPort : settings.rtpPort, settings.multicast ? settings.destination : settings.source);
+            }
+
+            return;
+        }
+    }
+
+    describe(transport) {
+        let settings = transport.settings;
+        if(settings.interleaved)
+            return 'RTP $' + settings.rtpChannel.toString() + ' / RTCP $' + settings.rtcpChannel.toString();
+
+        if(settings.multicast)
+            return 'RTP ' + settings.destination + ':' + settings.rtpPort.toString() + ' / RTCP ' + settings.destination + ':' + settings.rtcpPort.toString();
+
+        return 'RTP ' + settings.rtpPort.toString() + ' -> ' + transport.rtpSocket.address().port.toString() + ' / RTCP ' + settings.rtcpPort.toString() + ' -> ' + transport.rtcpSocket.address().port.toString();
+    }
+
+    teardown() {
+        let self = this;
+        let promise = Promise.resolve();
+        if(self.rtspClient.tracks.length > 0) {
+            self.log('RTSPSessionBroker: last viewer left, tearing down ' + self.uri.replace(/\/\/[^@\/]*@/, '//'));
+            promise = self.rtspClient.teardown().catch(err => {
+                self.log('RTSPSessionBroker: teardown failed:', err);
+            });
+        }
+
+        self.releaseTransports();
+        return promise;
+    }
+
+    releaseTransports() {
+        let self = this;
+        for(let transport of [self.video, self.audio]) {
+            if(transport)
+                self.releaseSockets(transport);
+        }
+
+        if(self.backchannelSender)
+            self.backchannelSender.stop();
+
+        self.video = null;
+        self.audio = null;
+        self.backchannelSender = null;
+    }
+
+    close() {
+        let self = this;
+        self.viewers.clear();
+        self._setupPromise = null;
+        self._playPromise = null;
+        self.rtspClient.close();
+        self.releaseTransports();
+    }
+
+    // Binds to a multicast group's port, which other processes on this host may be
+    // listening to the group on as well, and joins the group.
+    static joinGroup(type, group, port, ttl) {
+        return new Promise((resolve, reject) => {
+            let socket = dgram.createSocket({type: type, reuseAddr: true});
+
+            let errorHandler = (err) => {
+                socket.close();
+                reject(err);
+            };
+
+            socket.once('error', errorHandler);
+            socket.once('listening', () => {
+                socket.removeListener('error', errorHandler);
+                try {
+                    socket.addMembership(group);
+                    socket.setMulticastTTL(ttl);
+                } catch(err) {
+                    socket.close();
+                    reject(err);
+                    return;
+                }
+
+                resolve(socket);
+            });
+
+            socket.bind(port);
+        });
+    }
+}
+
+module.exports = RTSPSessionBroker;
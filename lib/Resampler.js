@@ -0,0 +1,104 @@
+"use strict";
+
+// Number of zero crossings of the sinc kernel on each side, and table entries between them.
+const ZERO_CROSSINGS = 8;
+const TABLE_RESOLUTION = 256;
+
+// Converts signed 16-bit little endian mono PCM between arbitrary sample rates
+// by band-limited (windowed sinc) interpolation. Input may arrive in chunks of
+// any size; filter history and the fractional read position carry over, so the
+// output is continuous across packets. Output lags input by half the filter.
+class Resampler {
+    constructor(inputRate, outputRate, options) {
+        let self = this;
+
+        options = options || {};
+
+        self.inputRate = inputRate;
+        self.outputRate = outputRate;
+        self.gain = options['gain'] === undefined ? 1 : options['gain'];
+
+        // Input samples advanced per output sample.
+        self.step = inputRate / outputRate;
+
+        // Cut off a little below the lower of the two Nyquist frequencies.
+        self.cutoff = Math.min(1, outputRate / inputRate) * 0.95;
+        self.halfWidth = Math.ceil(ZERO_CROSSINGS / self.cutoff);
+        self.table = Resampler.kernel(self.cutoff, self.halfWidth);
+
+        self.reset();
+    }
+
+    // Blackman-windowed sinc sampled every 1/TABLE_RESOLUTION input samples.
+    static kernel(cutoff, halfWidth) {
+        let length = halfWidth * TABLE_RESOLUTION + 2;
+        let table = new Float64Array(length);
+        for(let i = 0; i < length; ++i) {
+            let x = i / TABLE_RESOLUTION;
+            let sinc = x == 0 ? 1 : Math.sin(Math.PI * cutoff * x) / (Math.PI * cutoff * x);
+            let position = Math.min(1, x / halfWidth);
+            let window = 0.42 + 0.5 * Math.cos(Math.PI * position) + 0.08 * Math.cos(2 * Math.PI * position);
+            table[i] = cutoff * sinc * window;
+        }
+
+        return table;
+    }
+
+    reset() {
+        let self = this;
+        self.history = new Float64Array(self.halfWidth);
+        self.time = self.halfWidth;
+    }
+
+    tap(distance) {
+        let self = this;
+        let index = Math.abs(distance) * TABLE_RESOLUTION;
+        let whole = Math.floor(index);
+        let fraction = index - whole;
+        return self.table[whole] + (self.table[whole + 1] - self.table[whole]) * fraction;
+    }
+
+    process(samples) {
+        let self = this;
+        if(self.inputRate == self.outputRate && self.gain == 1)
+            return samples;
+
+        let count = samples.length >> 1;
+        let input = new Float64Array(self.history.length + count);
+        input.set(self.history);
+        for(let i = 0; i < count; ++i)
+            input[self.history.length + i] = samples.readInt16LE(i * 2);
+
+        let output = [];
+        while(self.time + self.halfWidth < input.length) {
+            let first = Math.ceil(self.time - self.halfWidth);
+            let last = Math.floor(self.time + self.halfWidth);
+            let sum = 0;
+            for(let i = first; i <= last; ++i)
+                sum += input[i] * self.tap(i - self.time);
+
+            output.push(sum * self.gain);
+            self.time += self.step;
+        }
+
+        // Keep what the next call still needs.
+        let keep = Math.max(0, Math.ceil(self.time - self.halfWidth));
+        self.history = input.slice(keep);
+        self.time -= keep;
+
+        let result = Buffer.alloc(output.length * 2);
+        for(let i = 0; i < output.length; ++i) {
+            let sample = Math.round(output[i]);
+            if(sample > 0x7fff)
+                sample = 0x7fff;
+            else if(sample < -0x7fff)
+                sample = -0x7fff;
+
+            result.writeInt16LE(sample, i * 2);
+        }
+
+        return result;
+    }
+}
+
+module.exports = Resampler;
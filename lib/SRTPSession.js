@@ -0,0 +1,193 @@
+"use strict";
+
+const crypto = require('crypto');
+
+const AUTH_TAG_LENGTH = 10;
+const REPLAY_WINDOW = 64;
+
+// SRTP/SRTCP with AES_CM_128_HMAC_SHA1_80 (RFC 3711), keyed from the master key
+// and salt HomeKit hands out in the prepare request. protect() and unprotect()
+// return null for packets that fail authentication or replay checks.
+class SRTPSession {
+    constructor(masterKey, masterSalt) {
+        let self = this;
+
+        if(masterKey.length != 16 || masterSalt.length != 14)
+            throw {message: 'SRTP needs a 128-bit master key and 112-bit master salt.'};
+
+        self.rtpKey = SRTPSession.deriveKey(masterKey, masterSalt, 0, 16);
+        self.rtpAuthKey = SRTPSession.deriveKey(masterKey, masterSalt, 1, 20);
+        self.rtpSalt = SRTPSession.deriveKey(masterKey, masterSalt, 2, 14);
+        self.rtcpKey = SRTPSession.deriveKey(masterKey, masterSalt, 3, 16);
+        self.rtcpAuthKey = SRTPSession.deriveKey(masterKey, masterSalt, 4, 20);
+        self.rtcpSalt = SRTPSession.deriveKey(masterKey, masterSalt, 5, 14);
+
+        // Per-SSRC rollover counters and replay state, for each direction.
+        self.senders = new Map();
+        self.receivers = new Map();
+        self.rtcpIndex = 0;
+        self.rtcpReceivers = new Map();
+    }
+
+    // Key derivation with a key derivation rate of zero (RFC 3711 4.3).
+    static deriveKey(masterKey, masterSalt, label, length) {
+        let iv = Buffer.alloc(16);
+        masterSalt.copy(iv, 0);
+        iv[7] ^= label;
+
+        return SRTPSession.keystream(masterKey, iv, Buffer.alloc(length));
+    }
+
+    static keystream(key, iv, data) {
+        let cipher = crypto.createCipheriv('aes-128-ctr', key, iv);
+        return Buffer.concat([cipher.update(data), cipher.final()]);
+    }
+
+    static iv(salt, ssrc, index) {
+        let iv = Buffer.alloc(16);
+        salt.copy(iv, 0);
+        iv.writeUInt32BE((iv.readUInt32BE(4) ^ ssrc) >>> 0, 4);
+
+        let high = Math.floor(index / 0x100000000);
+        iv.writeUInt16BE(iv.readUInt16BE(8) ^ (high & 0xFFFF), 8);
+        iv.writeUInt32BE((iv.readUInt32BE(10) ^ (index >>> 0)) >>> 0, 10);
+        return iv;
+    }
+
+    static authTag(key, data) {
+        return crypto.createHmac('sha1', key).update(data).digest().slice(0, AUTH_TAG_LENGTH);
+    }
+
+    static headerLength(packet) {
+        let cc = packet.readUInt8(0) & 0xF;
+        let offset = 12 + 4 * cc;
+        if(packet.readUInt8(0) & 0x10)
+            offset += (packet.readUInt16BE(offset + 2) * 4) + 4;
+
+        return offset;
+    }
+
+    protect(packet) {
+        let self = this;
+        let sequenceNumber = packet.readUInt16BE(2);
+        let ssrc = packet.readUInt32BE(8);
+
+        let state = self.senders.get(ssrc);
+        if(!state) {
+            state = {rollover: 0, sequenceNumber: sequenceNumber};
+            self.senders.set(ssrc, state);
+        } else if(sequenceNumber < state.sequenceNumber && (state.sequenceNumber - sequenceNumber) > 0x8000) {
+            ++state.rollover;
+        }
+
+        if(sequenceNumber > state.sequenceNumber || (state.sequenceNumber - sequenceNumber) > 0x8000)
+            state.sequenceNumber = sequenceNumber;
+
+        let index = (state.rollover * 0x10000) + sequenceNumber;
+        let offset = SRTPSession.headerLength(packet);
+        let payload = SRTPSession.keystream(self.rtpKey, SRTPSession.iv(self.rtpSalt, ssrc, index), packet.slice(offset));
+        let encrypted = Buffer.concat([packet.slice(0, offset), payload]);
+
+        let rollover = Buffer.alloc(4);
+        rollover.writeUInt32BE(state.rollover >>> 0, 0);
+        return Buffer.concat([encrypted, SRTPSession.authTag(self.rtpAuthKey, Buffer.concat([encrypted, rollover]))]);
+    }
+
+    unprotect(packet) {
+        let self = this;
+        if(packet.length < 12 + AUTH_TAG_LENGTH)
+            return null;
+
+        let sequenceNumber = packet.readUInt16BE(2);
+        let ssrc = packet.readUInt32BE(8);
+
+        let state = self.receivers.get(ssrc);
+        if(!state)
+            state = {rollover: 0, sequenceNumber: sequenceNumber, highest: null, seen: new Set()};
+
+        // Guess the rollover counter from the highest sequence number seen (RFC 3711 3.3.1).
+        let rollover = state.rollover;
+        if(state.highest !== null) {
+            if(state.sequenceNumber < 0x8000) {
+                if(sequenceNumber - state.sequenceNumber > 0x8000)
+                    rollover = state.rollover - 1;
+            } else if(state.sequenceNumber - 0x8000 > sequenceNumber) {
+                rollover = state.rollover + 1;
+            }
+        }
+
+        let index = (rollover * 0x10000) + sequenceNumber;
+        if(state.highest !== null && (index <= state.highest - REPLAY_WINDOW || state.seen.has(index)))
+            return null;
+
+        let body = packet.slice(0, packet.length - AUTH_TAG_LENGTH);
+        let tag = packet.slice(packet.length - AUTH_TAG_LENGTH);
+        let rolloverBuffer = Buffer.alloc(4);
+        rolloverBuffer.writeUInt32BE(rollover >>> 0, 0);
+
+        if(!crypto.timingSafeEqual(tag, SRTPSession.authTag(self.rtpAuthKey, Buffer.concat([body, rolloverBuffer]))))
+            return null;
+
+        state.seen.add(index);
+        if(state.highest === null || index > state.highest) {
+            state.highest = index;
+            state.rollover = rollover;
+            state.sequenceNumber = sequenceNumber;
+
+            for(let seen of state.seen) {
+                if(seen <= state.highest - REPLAY_WINDOW)
+                    state.seen.delete(seen);
+            }
+        }
+
+        self.receivers.set(ssrc, state);
+
+        let offset = SRTPSession.headerLength(body);
+        let payload = SRTPSession.keystream(self.rtpKey, SRTPSession.iv(self.rtpSalt, ssrc, index), body.slice(offset));
+        return Buffer.concat([body.slice(0, offset), payload]);
+    }
+
+    protectRTCP(packet) {
+        let self = this;
+        let ssrc = packet.readUInt32BE(4);
+        let index = self.rtcpIndex;
+        self.rtcpIndex = (self.rtcpIndex + 1) & 0x7FFFFFFF;
+
+        let payload = SRTPSession.keystream(self.rtcpKey, SRTPSession.iv(self.rtcpSalt, ssrc, index), packet.slice(8));
+        let trailer = Buffer.alloc(4);
+        trailer.writeUInt32BE((0x80000000 | index) >>> 0, 0);
+
+        let encrypted = Buffer.concat([packet.slice(0, 8), payload, trailer]);
+        return Buffer.concat([encrypted, SRTPSession.authTag(self.rtcpAuthKey, encrypted)]);
+    }
+
+    unprotectRTCP(packet) {
+        let self = this;
+        if(packet.length < 8 + 4 + AUTH_TAG_LENGTH)
+            return null;
+
+        let body = packet.slice(0, packet.length - AUTH_TAG_LENGTH);
+        let tag = packet.slice(packet.length - AUTH_TAG_LENGTH);
+        if(!crypto.timingSafeEqual(tag, SRTPSession.authTag(self.rtcpAuthKey, body)))
+            return null;
+
+        let ssrc = body.readUInt32BE(4);
+        let trailer = body.readUInt32BE(body.length - 4);
+        let encrypted = (trailer & 0x80000000) != 0;
+        let index = trailer & 0x7FFFFFFF;
+
+        let last = self.rtcpReceivers.get(ssrc);
+        if(last !== undefined && index <= last)
+            return null;
+
+        self.rtcpReceivers.set(ssrc, index);
+
+        let data = body.slice(8, body.length - 4);
+        if(encrypted)
+            data = SRTPSession.keystream(self.rtcpKey, SRTPSession.iv(self.rtcpSalt, ssrc, index), data);
+
+        return Buffer.concat([body.slice(0, 8), data]);
+    }
+}
+
+module.exports = SRTPSession;
@@ -0,0 +1,29 @@
+"use strict";
+
+// Leaves samples below the threshold alone and bends anything above it
+// smoothly towards full scale, instead of clipping it flat.
+class SoftLimiter {
+    constructor(sampleRate, options) {
+        let self = this;
+
+        options = options || {};
+
+        // Some headroom is needed for the knee.
+        self.threshold = Math.min(0.99, Math.pow(10, (options['threshold'] === undefined ? -3 : options['threshold']) / 20));
+    }
+
+    process(samples) {
+        let self = this;
+        let knee = 1 - self.threshold;
+        for(let i = 0; i < samples.length; ++i) {
+            let magnitude = Math.abs(samples[i]);
+            if(magnitude <= self.threshold)
+                continue;
+
+            magnitude = self.threshold + knee * Math.tanh((magnitude - self.threshold) / knee);
+            samples[i] = samples[i] < 0 ? -magnitude : magnitude;
+        }
+    }
+}
+
+module.exports = SoftLimiter;
@@ -0,0 +1,190 @@
+"use strict";
+
+const assert = require('assert');
+const AdaptiveBitrateController = require('../lib/AdaptiveBitrateController');
+
+// Spacing between changes is measured with Date.now(), so the tests keep their own clock.
+let now = 1000000;
+Date.now = () => now;
+
+let settle = () => new Promise(resolve => setImmediate(resolve));
+
+let LOSSY = {'fraction_lost': 0.2};
+let CLEAN = {'fraction_lost': 0};
+let MIDDLING = {'fraction_lost': 0.05};
+
+// A controller over bit rates 1000, 500, 250 and 100, started at 30 fps and 1000.
+let create = (options) => {
+    let applied = [];
+    let changes = [];
+    let controller = new AdaptiveBitrateController((fps, bitRate) => {
+        applied.push([fps, bitRate]);
+        return Promise.resolve();
+    }, Object.assign({
+        'bit_rates': [250, 1000, 100, 500],
+        'down_reports': 2,
+        'up_reports': 3,
+        'min_interval': 10000
+    }, options));
+
+    controller.on('change', change => changes.push(change));
+    controller.configure(30, 1000);
+    now += 10000;
+    return {'controller': controller, 'applied': applied, 'changes': changes};
+};
+
+let report = (controller, viewer, loss, times) => {
+    for(let i = 0; i < times; ++i)
+        controller.report(viewer, loss);
+};
+
+// levels() starts with the request, skips rates the camera would snap it to, and
+// halves the frame rate, down to min_fps, below a quarter of the requested rate.
+{
+    assert.deepStrictEqual(AdaptiveBitrateController.levels([1000, 500, 250, 100], 30, 520, 5), [
+        {'fps': 30, 'bit_rate': 520},
+        {'fps': 30, 'bit_rate': 250},
+        {'fps': 15, 'bit_rate': 100}
+    ]);
+
+    assert.deepStrictEqual(AdaptiveBitrateController.levels([1000, 500, 250, 100], 8, 1000, 5), [
+        {'fps': 8, 'bit_rate': 1000},
+        {'fps': 8, 'bit_rate': 500},
+        {'fps': 8, 'bit_rate': 250},
+        {'fps': 5, 'bit_rate': 100}
+    ]);
+
+    assert.deepStrictEqual(AdaptiveBitrateController.levels([1000, 500], 30, 80, 5), [{'fps': 30, 'bit_rate': 80}]);
+}
+
+let tests = [
+    // One lossy viewer out of three isn't enough to step down; two are.
+    () => {
+        let t = create();
+        report(t.controller, 'a', CLEAN, 1);
+        report(t.controller, 'b', CLEAN, 1);
+        report(t.controller, 'c', CLEAN, 1);
+
+        report(t.controller, 'a', LOSSY, 2);
+        assert.strictEqual(t.controller.level, 0);
+
+        report(t.controller, 'b', LOSSY, 1);
+        assert.strictEqual(t.controller.level, 0);
+        report(t.controller, 'b', LOSSY, 1);
+        assert.strictEqual(t.controller.level, 1);
+        assert.deepStrictEqual(t.applied, [[30, 500]]);
+        assert.deepStrictEqual(t.changes, [{
+            'fps': 30,
+            'bit_rate': 500,
+            'previous_fps': 30,
+            'previous_bit_rate': 1000,
+            'lossy_viewers': 2,
+            'viewers': 3
+        }]);
+
+        return settle();
+    },
+
+    // Loss between the thresholds breaks a run of lossy reports.
+    () => {
+        let t = create();
+        report(t.controller, 'a', LOSSY, 1);
+        report(t.controller, 'a', MIDDLING, 1);
+        report(t.controller, 'a', LOSSY, 1);
+        assert.strictEqual(t.controller.level, 0);
+        report(t.controller, 'a', LOSSY, 1);
+        assert.strictEqual(t.controller.level, 1);
+        return settle();
+    },
+
+    // Changes are at least min_interval apart, counted from when the last one was applied.
+    () => {
+        let t = create();
+        report(t.controller, 'a', LOSSY, 2);
+        assert.strictEqual(t.controller.level, 1);
+
+        // Nothing else happens while the camera is being reconfigured.
+        now += 20000;
+        report(t.controller, 'a', LOSSY, 2);
+        assert.strictEqual(t.controller.level, 1);
+
+        return settle().then(() => {
+            now += 9999;
+            report(t.controller, 'a', LOSSY, 2);
+            assert.strictEqual(t.controller.level, 1);
+
+            now += 1;
+            report(t.controller, 'a', LOSSY, 1);
+            assert.strictEqual(t.controller.level, 2);
+            assert.deepStrictEqual(t.applied, [[30, 500], [30, 250]]);
+            return settle();
+        });
+    },
+
+    // Stepping up needs most viewers clean and none lossy, and stops at the request.
+    () => {
+        let t = create();
+        report(t.controller, 'a', LOSSY, 2);
+        report(t.controller, 'b', LOSSY, 2);
+        assert.strictEqual(t.controller.level, 1);
+
+        return settle().then(() => {
+            now += 10000;
+            report(t.controller, 'a', CLEAN, 3);
+            report(t.controller, 'b', LOSSY, 2);
+            report(t.controller, 'c', CLEAN, 3);
+            assert.strictEqual(t.controller.level, 1);
+
+            report(t.controller, 'b', MIDDLING, 1);
+            report(t.controller, 'a', CLEAN, 1);
+            assert.strictEqual(t.controller.level, 0);
+            assert.deepStrictEqual(t.applied, [[30, 500], [30, 1000]]);
+            return settle();
+        }).then(() => {
+            now += 10000;
+            report(t.controller, 'a', CLEAN, 3);
+            report(t.controller, 'c', CLEAN, 3);
+            assert.strictEqual(t.controller.level, 0);
+            assert.strictEqual(t.applied.length, 2);
+        });
+    },
+
+    // A viewer that has stopped watching no longer counts.
+    () => {
+        let t = create();
+        report(t.controller, 'b', CLEAN, 1);
+        report(t.controller, 'c', CLEAN, 1);
+        report(t.controller, 'a', LOSSY, 2);
+        assert.strictEqual(t.controller.level, 0);
+
+        t.controller.remove('b');
+        t.controller.remove('c');
+        assert.strictEqual(t.controller.viewers.size, 1);
+        report(t.controller, 'a', LOSSY, 1);
+        assert.strictEqual(t.controller.level, 1);
+        assert.strictEqual(t.changes[0]['viewers'], 1);
+        return settle();
+    },
+
+    // A new request starts again from the top, with every viewer's counts cleared.
+    () => {
+        let t = create();
+        report(t.controller, 'a', LOSSY, 2);
+        assert.strictEqual(t.controller.level, 1);
+
+        return settle().then(() => {
+            report(t.controller, 'a', LOSSY, 1);
+            t.controller.configure(15, 500);
+            assert.strictEqual(t.controller.level, 0);
+            assert.deepStrictEqual(t.controller.levels.map(level => level['bit_rate']), [500, 250, 100]);
+            assert.deepStrictEqual(t.controller.viewers.get('a'), {'lossy': 0, 'clean': 0});
+        });
+    }
+];
+
+tests.reduce((previous, test) => previous.then(test), Promise.resolve()).then(() => {
+    console.log('AdaptiveBitrateController: ok');
+}).catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,67 @@
+"use strict";
+
+const assert = require('assert');
+const AudioFormat = require('../lib/AudioFormat');
+
+// A start or reconfigure request's audio as HAP-NodeJS's StreamController parses it.
+// There is no comfort_noise field; comfort noise only shows up as comfort_pt.
+let request = (fields) => Object.assign({
+    'codec': 'OPUS',
+    'channel': 1,
+    'bit_rate': 0,
+    'sample_rate': 16,
+    'packet_time': 20,
+    'pt': 110,
+    'ssrc': 0x1A2B3C4D,
+    'max_bit_rate': 24,
+    'rtcp_interval': 1084227584,
+    'comfort_pt': 13
+}, fields);
+
+// Comfort noise negotiated.
+{
+    let format = AudioFormat.fromRequest(request({}));
+    assert.deepStrictEqual(format, {
+        'codec': 'OPUS',
+        'sample_rate': 16000,
+        'packet_time': 20,
+        'bit_rate': 24,
+        'vbr': true,
+        'channels': 1,
+        'comfort_noise': true
+    });
+
+    let options = AudioFormat.opusOptions(format, {});
+    assert.strictEqual(options['dtx'], true);
+    assert.strictEqual(options['bit_rate'], 24);
+    assert.strictEqual(options['vbr'], true);
+    assert.strictEqual(options['channels'], 1);
+}
+
+// Without it, and at a constant bit rate.
+{
+    let format = AudioFormat.fromRequest(request({'comfort_pt': 0, 'bit_rate': 1, 'sample_rate': 24, 'max_bit_rate': 32}));
+    assert.strictEqual(format['comfort_noise'], false);
+    assert.strictEqual(format['vbr'], false);
+    assert.strictEqual(format['sample_rate'], 24000);
+
+    let options = AudioFormat.opusOptions(format);
+    assert.strictEqual(options['dtx'], false);
+    assert.strictEqual(options['bit_rate'], 32);
+    assert.strictEqual(options['vbr'], false);
+}
+
+// The camera's configuration wins over what was negotiated.
+{
+    let config = {'fec': true, 'packet_loss': 5, 'dtx': false, 'complexity': 3};
+    let options = AudioFormat.opusOptions(AudioFormat.fromRequest(request({})), config);
+    assert.strictEqual(options['dtx'], false);
+    assert.strictEqual(options['fec'], true);
+    assert.strictEqual(options['packet_loss'], 5);
+    assert.strictEqual(options['complexity'], 3);
+
+    options = AudioFormat.opusOptions(AudioFormat.fromRequest(request({'comfort_pt': 0})), {'dtx': true});
+    assert.strictEqual(options['dtx'], true);
+}
+
+console.log('AudioFormat: ok');
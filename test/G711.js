@@ -0,0 +1,143 @@
+"use strict";
+
+const assert = require('assert');
+const G711 = require('../lib/G711');
+
+// Expansion tables from ITU-T G.711 (Tables 1 and 2), scaled to 16 bits and indexed by code.
+const MU_LAW = [
+    -32124, -31100, -30076, -29052, -28028, -27004, -25980, -24956,
+    -23932, -22908, -21884, -20860, -19836, -18812, -17788, -16764,
+    -15996, -15484, -14972, -14460, -13948, -13436, -12924, -12412,
+    -11900, -11388, -10876, -10364, -9852, -9340, -8828, -8316,
+    -7932, -7676, -7420, -7164, -6908, -6652, -6396, -6140,
+    -5884, -5628, -5372, -5116, -4860, -4604, -4348, -4092,
+    -3900, -3772, -3644, -3516, -3388, -3260, -3132, -3004,
+    -2876, -2748, -2620, -2492, -2364, -2236, -2108, -1980,
+    -1884, -1820, -1756, -1692, -1628, -1564, -1500, -1436,
+    -1372, -1308, -1244, -1180, -1116, -1052, -988, -924,
+    -876, -844, -812, -780, -748, -716, -684, -652,
+    -620, -588, -556, -524, -492, -460, -428, -396,
+    -372, -356, -340, -324, -308, -292, -276, -260,
+    -244, -228, -212, -196, -180, -164, -148, -132,
+    -120, -112, -104, -96, -88, -80, -72, -64,
+    -56, -48, -40, -32, -24, -16, -8, 0,
+    32124, 31100, 30076, 29052, 28028, 27004, 25980, 24956,
+    23932, 22908, 21884, 20860, 19836, 18812, 17788, 16764,
+    15996, 15484, 14972, 14460, 13948, 13436, 12924, 12412,
+    11900, 11388, 10876, 10364, 9852, 9340, 8828, 8316,
+    7932, 7676, 7420, 7164, 6908, 6652, 6396, 6140,
+    5884, 5628, 5372, 5116, 4860, 4604, 4348, 4092,
+    3900, 3772, 3644, 3516, 3388, 3260, 3132, 3004,
+    2876, 2748, 2620, 2492, 2364, 2236, 2108, 1980,
+    1884, 1820, 1756, 1692, 1628, 1564, 1500, 1436,
+    1372, 1308, 1244, 1180, 1116, 1052, 988, 924,
+    876, 844, 812, 780, 748, 716, 684, 652,
+    620, 588, 556, 524, 492, 460, 428, 396,
+    372, 356, 340, 324, 308, 292, 276, 260,
+    244, 228, 212, 196, 180, 164, 148, 132,
+    120, 112, 104, 96, 88, 80, 72, 64,
+    56, 48, 40, 32, 24, 16, 8, 0
+];
+
+const A_LAW = [
+    -5504, -5248, -6016, -5760, -4480, -4224, -4992, -4736,
+    -7552, -7296, -8064, -7808, -6528, -6272, -7040, -6784,
+    -2752, -2624, -3008, -2880, -2240, -2112, -2496, -2368,
+    -3776, -3648, -4032, -3904, -3264, -3136, -3520, -3392,
+    -22016, -20992, -24064, -23040, -17920, -16896, -19968, -18944,
+    -30208, -29184, -32256, -31232, -26112, -25088, -28160, -27136,
+    -11008, -10496, -12032, -11520, -8960, -8448, -9984, -9472,
+    -15104, -14592, -16128, -15616, -13056, -12544, -14080, -13568,
+    -344, -328, -376, -360, -280, -264, -312, -296,
+    -472, -456, -504, -488, -408, -392, -440, -424,
+    -88, -72, -120, -104, -24, -8, -56, -40,
+    -216, -200, -248, -232, -152, -136, -184, -168,
+    -1376, -1312, -1504, -1440, -1120, -1056, -1248, -1184,
+    -1888, -1824, -2016, -1952, -1632, -1568, -1760, -1696,
+    -688, -656, -752, -720, -560, -528, -624, -592,
+    -944, -912, -1008, -976, -816, -784, -880, -848,
+    5504, 5248, 6016, 5760, 4480, 4224, 4992, 4736,
+    7552, 7296, 8064, 7808, 6528, 6272, 7040, 6784,
+    2752, 2624, 3008, 2880, 2240, 2112, 2496, 2368,
+    3776, 3648, 4032, 3904, 3264, 3136, 3520, 3392,
+    22016, 20992, 24064, 23040, 17920, 16896, 19968, 18944,
+    30208, 29184, 32256, 31232, 26112, 25088, 28160, 27136,
+    11008, 10496, 12032, 11520, 8960, 8448, 9984, 9472,
+    15104, 14592, 16128, 15616, 13056, 12544, 14080, 13568,
+    344, 328, 376, 360, 280, 264, 312, 296,
+    472, 456, 504, 488, 408, 392, 440, 424,
+    88, 72, 120, 104, 24, 8, 56, 40,
+    216, 200, 248, 232, 152, 136, 184, 168,
+    1376, 1312, 1504, 1440, 1120, 1056, 1248, 1184,
+    1888, 1824, 2016, 1952, 1632, 1568, 1760, 1696,
+    688, 656, 752, 720, 560, 528, 624, 592,
+    944, 912, 1008, 976, 816, 784, 880, 848
+];
+
+// The lower decision value of each of the 128 magnitude intervals, from the same tables.
+function decisionValues(law) {
+    let values = [];
+    for(let segment = 0; segment < 8; ++segment) {
+        for(let step = 0; step < 16; ++step) {
+            if(law == 'PCMU')
+                values.push(((32 + 2 * step) << segment) - 33);
+            else
+                values.push(segment == 0 ? 2 * step : (16 + step) << segment);
+        }
+    }
+
+    return values;
+}
+
+const DECISION_VALUES = {
+    'PCMU': decisionValues('PCMU'),
+    'PCMA': decisionValues('PCMA')
+};
+
+// G.711 works on 14-bit (mu-law) or 13-bit (A-law) samples; wider input is truncated first.
+function referenceEncode(law, sample) {
+    let values = DECISION_VALUES[law];
+    let value = law == 'PCMU' ? sample >> 2 : sample >> 3;
+    let negative = value < 0;
+    let magnitude = negative ? (law == 'PCMU' ? -value : -value - 1) : value;
+
+    let interval = 0;
+    while(interval < 127 && values[interval + 1] <= magnitude)
+        ++interval;
+
+    if(law == 'PCMU')
+        return interval ^ (negative ? 0x7F : 0xFF);
+
+    return interval ^ (negative ? 0x55 : 0xD5);
+}
+
+for(let code = 0; code < 256; ++code) {
+    assert.strictEqual(G711.decodeMuLaw(code), MU_LAW[code], 'mu-law expand 0x' + code.toString(16));
+    assert.strictEqual(G711.decodeALaw(code), A_LAW[code], 'A-law expand 0x' + code.toString(16));
+
+    // Every code survives a round trip, except that mu-law has two zeroes.
+    assert.strictEqual(G711.encodeMuLaw(MU_LAW[code]), code == 0x7F ? 0xFF : code, 'mu-law round trip 0x' + code.toString(16));
+    assert.strictEqual(G711.encodeALaw(A_LAW[code]), code, 'A-law round trip 0x' + code.toString(16));
+}
+
+for(let sample = -32768; sample < 32768; ++sample) {
+    assert.strictEqual(G711.encodeMuLaw(sample), referenceEncode('PCMU', sample), 'mu-law compress ' + sample);
+    assert.strictEqual(G711.encodeALaw(sample), referenceEncode('PCMA', sample), 'A-law compress ' + sample);
+}
+
+// The buffer helpers work on signed 16-bit little endian samples.
+{
+    let samples = Buffer.alloc(8);
+    [0, 1000, -1000, 32767].forEach((sample, i) => samples.writeInt16LE(sample, i * 2));
+
+    for(let codec of ['PCMU', 'PCMA']) {
+        let table = codec == 'PCMU' ? MU_LAW : A_LAW;
+        let encoded = G711.encode(codec, samples);
+        let decoded = G711.decode(codec, encoded);
+        assert.strictEqual(encoded.length, 4);
+        for(let i = 0; i < 4; ++i)
+            assert.strictEqual(decoded.readInt16LE(i * 2), table[encoded[i]]);
+    }
+}
+
+console.log('G711: ok');
@@ -0,0 +1,58 @@
+"use strict";
+
+const assert = require('assert');
+const SRTPSession = require('../lib/SRTPSession');
+
+let hex = (string) => Buffer.from(string.replace(/ /g, ''), 'hex');
+
+// RFC 3711 B.2: AES-CM keystream.
+{
+    let key = hex('2B7E151628AED2A6ABF7158809CF4F3C');
+    let salt = hex('F0F1F2F3F4F5F6F7F8F9FAFBFCFD');
+    let iv = SRTPSession.iv(salt, 0, 0);
+    assert.deepStrictEqual(iv, hex('F0F1F2F3F4F5F6F7F8F9FAFBFCFD0000'));
+
+    let keystream = SRTPSession.keystream(key, iv, Buffer.alloc(0xFF02 * 16));
+    let block = (counter) => keystream.slice(counter * 16, (counter + 1) * 16);
+
+    assert.deepStrictEqual(block(0x0000), hex('E03EAD0935C95E80E166B16DD92B4EB4'));
+    assert.deepStrictEqual(block(0x0001), hex('D23513162B02D0F72A43A2FE4A5F97AB'));
+    assert.deepStrictEqual(block(0x0002), hex('41E95B3BB0A2E8DD477901E4FCA894C0'));
+    assert.deepStrictEqual(block(0xFEFF), hex('EC8CDF7398607CB0F2D21675EA9EA1E4'));
+    assert.deepStrictEqual(block(0xFF00), hex('362B7C3C6773516318A077D7FC5073AE'));
+    assert.deepStrictEqual(block(0xFF01), hex('6A2CC3787889374FBEB4C81B17BA6C44'));
+}
+
+// RFC 3711 B.3: key derivation.
+{
+    let session = new SRTPSession(hex('E1F97A0D3E018BE0D64FA32C06DE4139'), hex('0EC675AD498AFEEBB6960B3AABE6'));
+
+    assert.deepStrictEqual(session.rtpKey, hex('C61E7A93744F39EE10734AFE3FF7A087'));
+    assert.deepStrictEqual(session.rtpSalt, hex('30CBBC08863D8C85D49DB34A9AE1'));
+    assert.deepStrictEqual(session.rtpAuthKey, hex('CEBE321F6FF7716B6FD4AB49AF256A156D38BAA4'));
+}
+
+// Packets protected by one session come back out of another with the same keys.
+{
+    let key = hex('E1F97A0D3E018BE0D64FA32C06DE4139');
+    let salt = hex('0EC675AD498AFEEBB6960B3AABE6');
+    let sender = new SRTPSession(key, salt);
+    let receiver = new SRTPSession(key, salt);
+
+    let packet = Buffer.concat([hex('80610001000000A0DEADBEEF'), Buffer.from('payload')]);
+    let protectedPacket = sender.protect(packet);
+    assert.notDeepStrictEqual(protectedPacket.slice(12, packet.length), packet.slice(12));
+    assert.deepStrictEqual(receiver.unprotect(protectedPacket), packet);
+
+    // Replayed and tampered packets are dropped.
+    assert.strictEqual(receiver.unprotect(protectedPacket), null);
+    let next = Buffer.from(packet);
+    next.writeUInt16BE(2, 2);
+    let tampered = sender.protect(next);
+    tampered[12] ^= 1;
+    assert.strictEqual(receiver.unprotect(tampered), null);
+    tampered[12] ^= 1;
+    assert.deepStrictEqual(receiver.unprotect(tampered), next);
+}
+
+console.log('SRTPSession: ok');